@@ -5,13 +5,20 @@
 const assert = require('assert');
 const childProcess = require('child_process');
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const fs = require('fs');
 const http = require('http');
 const https = require('https');
+const net = require('net');
+const os = require('os');
 const path = require('path');
 const process = require('process');
 const querystring = require('querystring');
+const readline = require('readline');
+const tls = require('tls');
 const url = require('url');
+const util = require('util');
+const zlib = require('zlib');
 
 const asTable = require('as-table');
 const lodash = require('lodash');
@@ -20,43 +27,249 @@ const neodoc = require('neodoc');
 
 /* logging */
 
-function log (...args) {
-    console.log(...args);
+// -1: quiet (--quiet), 0: normal, 1: verbose (-v), 2: debug (-vv)
+let logVerbosity = 0;
+
+// with --json and the json reporter, stdout is reserved for the results
+let logToStderr = false;
+
+// file descriptor of the --log-file, it receives all messages regardless
+// of the verbosity
+let logFile = null;
+
+// minimum verbosity at which messages of each level are shown
+const logLevels = {error: -1, warn: -1, log: 0, info: 1, debug: 2};
+
+function writeLog (level, args) {
+    const message = util.format(...args);
+
+    if (logFile !== null) {
+        fs.writeSync(logFile, `${new Date().toISOString()} [${level}] ${message}\n`);
+    }
+
+    if (logLevels[level] <= logVerbosity) {
+        if (logToStderr || level === 'error' || level === 'warn') {
+            console.error(message);
+        } else {
+            console.log(message);
+        }
+    }
 }
 
-let logVerbosity = 0;
+// print a machine readable result (--json, --reporter json) on stdout,
+// regardless of the verbosity
+function printJson (value, indent) {
+    const json = JSON.stringify(value, null, indent);
 
-function info (...args) {
-    if (logVerbosity) {
-        log(...args);
+    if (logFile !== null) {
+        fs.writeSync(logFile, `${new Date().toISOString()} [json] ${json}\n`);
     }
+
+    console.log(json);
+}
+
+function log (...args) {
+    writeLog('log', args);
+}
+
+function info (...args) {
+    writeLog('info', args);
+}
+
+function debug (...args) {
+    writeLog('debug', args);
 }
 
 function warn (...args) {
-    console.error('Warning:', ...args);
+    writeLog('warn', ['Warning:', ...args]);
+}
+
+function logError (...args) {
+    writeLog('error', ['Error:', ...args]);
 }
 
 function logErrorAndExit (...args) {
-    console.error('Error:', ...args);
+    logError(...args);
     process.exit(1);
 }
 
+/* errors */
+
+/**
+ * Base class of the errors thrown (or rejected with) by cljsbuild.
+ *
+ * Properties describing the error are assigned to the instance, the
+ * subclasses tell what went wrong.
+ */
+class CljsbuildError extends Error {
+
+    constructor (message, properties) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, properties);
+    }
+}
+
+// invalid or missing configuration or arguments
+class ConfigError extends CljsbuildError {}
+
+// dependencies could not be resolved or do not match the lockfile
+class DependencyError extends CljsbuildError {}
+
+// a build failed to compile, results has the compile result of each build
+class BuildError extends CljsbuildError {}
+
+// return the compile results or throw a BuildError if a build failed
+function checkBuildResults (results) {
+    const failed = results.filter(result => result.status !== 'ok');
+
+    if (failed.length) {
+        throw new BuildError(`${failed.map(result => result.id).join(', ')} failed to compile`, {results});
+    }
+
+    return results;
+}
+
+// an external command failed, with command, code and signal
+class CommandError extends CljsbuildError {}
+
+/* processes */
+
+// running child processes, they receive the SIGINT and SIGTERM signals
+// sent to cljsbuild
+const childProcesses = new Set();
+let forwardingSignals = false;
+
+function forwardSignal (signal) {
+    // exit like without a handler, unless another handler takes care of it
+    if (!childProcesses.size && process.listenerCount(signal) === 1) {
+        process.exit(128 + os.constants.signals[signal]);
+    }
+
+    // the callers waiting for the children clean up and exit
+    childProcesses.forEach((child) => {
+        child.forwardedSignal = signal;
+
+        try {
+            // detached children lead their own process group, e.g. a shell
+            // and the command it runs
+            process.kill(child.processGroup ? -child.pid : child.pid, signal);
+        } catch (e) {
+            // already exited
+        }
+    });
+}
+
+/**
+ * Forward the SIGINT and SIGTERM signals cljsbuild receives to the child
+ * processes it runs and let the callers waiting for them exit.
+ *
+ * The commandline does this, library callers may opt in. Otherwise child
+ * processes stay in the process group of the caller and get the signals
+ * of the terminal directly.
+ */
+function forwardSignals () {
+    if (!forwardingSignals) {
+        forwardingSignals = true;
+        ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => forwardSignal(signal)));
+    }
+}
+
+// remember child until it exits, see forwardSignals
+function trackChildProcess (child) {
+    childProcesses.add(child);
+    child.on('exit', () => childProcesses.delete(child));
+}
+
 /* utils */
 
-function sh (command) {
+/**
+ * Run a shell command.
+ *
+ * Returns a promise resolving when the command exits with code 0 and
+ * rejecting with a CommandError otherwise. The error of a command stopped
+ * by a signal has a signal property.
+ *
+ * options:
+ *  - prefix .. prefix of the output lines, e.g. 'maven> '
+ *  - level .. log level of the output lines, defaults to 'log', the last
+ *    lines of hidden output are shown when the command fails
+ *  - interactive .. pass stdin and the output through unchanged (repls)
+ *  - env .. environment variables of the command
+ *  - cwd .. working directory of the command
+ *  - onSpawn .. called with the child process
+ *  - onLine .. called with each output line (without the prefix)
+ */
+function sh (command, options) {
+    const opts = options || {};
+    const prefix = opts.prefix || '';
+    const level = opts.level || 'log';
+    const hiddenOutput = [];
+
     info(`running ${JSON.stringify(command)}`);
 
-    // TODO: configurable log output, log output with prefix, e.g. 'maven> '
-    //       But: that means I cannot use *Sync functions, must write
-    //       everything with Promises or generators.
-    childProcess.execSync(command, {stdio: [0, 1, 2]});
+    return new Promise((resolve, reject) => {
+        // interactive commands stay in the foreground process group to
+        // read from the terminal, the others get their own group when
+        // signals are forwarded so that they reach the command and not
+        // only the shell
+        const processGroup = !opts.interactive && forwardingSignals;
+        const child = childProcess.spawn(command, {
+            shell: true,
+            stdio: opts.interactive ? 'inherit' : ['ignore', 'pipe', 'pipe'],
+            env: opts.env || process.env,
+            cwd: opts.cwd,
+            detached: processGroup
+        });
+
+        child.processGroup = processGroup;
+        trackChildProcess(child);
+
+        if (opts.onSpawn) {
+            opts.onSpawn(child);
+        }
+
+        if (!opts.interactive) {
+            [child.stdout, child.stderr].forEach((stream) => {
+                readline.createInterface({input: stream}).on('line', (line) => {
+                    writeLog(level, [prefix + line]);
+
+                    if (opts.onLine) {
+                        opts.onLine(line);
+                    }
+
+                    if (logLevels[level] > logVerbosity) {
+                        hiddenOutput.push(prefix + line);
+                        hiddenOutput.splice(0, hiddenOutput.length - 50);
+                    }
+                });
+            });
+        }
+
+        child.on('error', reject);
+        child.on('close', (code, signal) => {
+            if (code === 0) {
+                resolve();
+
+                return;
+            }
+
+            hiddenOutput.forEach(line => writeLog('error', [line]));
+
+            reject(new CommandError(`command ${JSON.stringify(command)} ${signal ? `was stopped by ${signal}` : `failed with exit code ${code}`}`, {
+                command,
+                code,
+                signal: child.forwardedSignal || signal
+            }));
+        });
+    });
 }
 
 function removeFile (fileName) {
     try {
-        fs.unlink(fileName);
+        fs.unlinkSync(fileName);
     } catch (e) {
-        info('could not remove file', fileName, 'error:', e.stack);
+        debug('could not remove file', fileName, 'error:', e.stack);
     };
 }
 
@@ -73,719 +286,6790 @@ function readFile (fileName) {
     }
 }
 
-function jsObjectToClj (object) {
-    return '{' + Object.keys(object).map((k) => {
-        return `:${k} ${typeof object[k] === 'object' ? jsObjectToClj(object[k]) : object[k]}`;
-    }).join(',') + '}';
+// split a dependency name into maven coordinates, 'weasel' is short for
+// 'weasel/weasel'
+function parseDependencyName (name) {
+    const res = name.split('/');
+    const groupId = res[0];
+    const artifactId = res[1] || groupId;
+
+    return {groupId, artifactId};
 }
 
-function isRlwrapAvailable () {
-    try {
-        childProcess.execSync('which rlwraps');
+// return the 'groupId/artifactId' coordinate of a dependency name
+function dependencyCoordinate (name) {
+    const {groupId, artifactId} = parseDependencyName(name);
 
-        return true;
-    } catch (e) {
-        return false;
-    }
+    return `${groupId}/${artifactId}`;
 }
 
-function readCljsBuildPackageJson () {
-    try {
-        return JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json')));
-    } catch (e) {
-        log('error while trying to load cljsbuilds package.json');
-        throw e;
-    }
+// dependencies are either a version string or an object with version,
+// exclusions, classifier and scope keys
+function normalizeDependency (value) {
+    return typeof value === 'string' ? {version: value} : Object.assign({}, value);
 }
 
-function httpGetJson (requestOptions) {
-    const urlObject = url.parse(requestOptions.url);
-    const qs = querystring.encode(requestOptions.qs);
-    const client = urlObject.protocol === 'http:' ? http : https;
+// the inverse of normalizeDependency, prefer the short string form
+function denormalizeDependency (dependency) {
+    const options = lodash.omitBy(dependency, lodash.isUndefined);
 
-    return new Promise((resolve, reject) => {
-        client.get({
-            protocol: urlObject.protocol,
-            hostname: urlObject.hostname,
-            path: urlObject.pathname + (qs ? '?' : '') + qs
-        }, (response) => {
-            let body = '';
+    return Object.keys(options).length === 1 ? options.version : options;
+}
 
-            response.on('data', (data) => {
-                body += data;
-            });
-            response.on('end', () => {
-                resolve(JSON.parse(body));
-            });
-            response.on('error', reject);
-        });
+function xmlEscape (value) {
+    return String(value).replace(/[&<>"']/g, (c) => {
+        return {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'}[c];
     });
 }
 
-function findLatestClojarsRelease (groupId, artifactId, releasesOnly) {
-    return httpGetJson({
-        url: 'https://clojars.org/search',
-        qs: {
-            q: `${groupId || ''} ${artifactId || ''}`,
-            format: 'json'
-        }
-    }).then((data) => {
-        const release = data.results
-                  .filter((item) => {
-                      if (releasesOnly) {
-                          const releaseRegex = /^[0-9]+\.[0-9]+\.[0-9]+(-[0-9]+)?$/;
-
-                          return item.version.match(releaseRegex);
-                      }
+// render an xml element tree: each element is an array of a tag name,
+// an optional attributes object and child elements or text, undefined
+// children and attributes are skipped
+function toXml (element, indent) {
+    const prefix = indent || '';
+    const hasAttributes = lodash.isPlainObject(element[1]);
+    const attributes = lodash.map(lodash.omitBy(hasAttributes ? element[1] : {}, lodash.isUndefined), (value, name) => {
+        return ` ${name}="${xmlEscape(value)}"`;
+    }).join('');
+    const tag = element[0];
+    const children = element.slice(hasAttributes ? 2 : 1).filter(c => c !== undefined);
+
+    if (!children.length) {
+        return `${prefix}<${tag}${attributes}/>`;
+    }
 
-                      return true;
-                  })
-                  .filter((item) => {
-                      return item.group_name === groupId && item.jar_name === artifactId;
-                  })[0];
+    if (children.every(c => !Array.isArray(c))) {
+        return `${prefix}<${tag}${attributes}>${children.map(xmlEscape).join('')}</${tag}>`;
+    }
 
-        return (release || {}).version;
-    });
+    return [
+        `${prefix}<${tag}${attributes}>`,
+        ...children.map(c => Array.isArray(c) ? toXml(c, prefix + '  ') : prefix + '  ' + xmlEscape(c)),
+        `${prefix}</${tag}>`
+    ].join('\n');
 }
 
-function findLatestMavenRelease (groupId, artifactId, releasesOnly) {
-    return httpGetJson({
-        url: `http://search.maven.org/solrsearch/select`,
-        qs: {
-            q: `g:${JSON.stringify(groupId || '')} AND a:${JSON.stringify(artifactId || '')}`,
-            wt: 'json',
-            rows: 32,
-            core: 'gav'
-        }
-    }).then((data) => {
-        // don't pick alpha, beta, and RC versions
-        if (releasesOnly) {
-            const releaseRegex = /^[0-9]+\.[0-9]+\.[0-9]+(-[0-9]+)?$/;
+// the text of an xml element, with the predefined and character entities
+// decoded
+function xmlText (xml, element) {
+    const entities = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'"};
 
-            return (data.response.docs.filter(item => item.v.match(releaseRegex))[0] || {}).v;
+    return xml.slice(element.contentStart, element.contentEnd).replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
         }
 
-        return (data.response.docs[0] || {}).v;
+        return entities.hasOwnProperty(name) ? entities[name] : entity;
     });
 }
 
-/* services */
-
 /**
- * Access build options defined in ./package.json
+ * Read the element tree of an xml document without changing it.
+ *
+ * Returns the toplevel elements, each {name, selfClosing, children} with
+ * the offsets start, end, contentStart and contentEnd into xml, so that
+ * edits keep the formatting and comments of the document. Comments,
+ * processing instructions, doctypes and cdata sections are skipped.
+ * Throws an Error on unbalanced or unterminated tags.
  */
-class Config {
+function readXmlElements (xml) {
+    const root = {children: []};
+    const stack = [root];
+    let pos = 0;
 
-    constructor () {
-        this._cljsbuild = null;
-    }
+    const skipPast = (terminator, what) => {
+        const index = xml.indexOf(terminator, pos);
 
-    _getDefaults () {
-        return {
-            fakeProjectFile: 'project.clj',
-            tempdir: '.cljsbuild',
-            target: 'out/main.js',
-            assetPath: '.',
-            src: 'src',
-            main: undefined,
-            replPort: 9000,
-            replHost: 'localhost',
-            dependencies: undefined
-        };
-    }
+        if (index === -1) {
+            throw new Error(`unterminated ${what} at offset ${pos}`);
+        }
 
-    _loadPackageJson () {
-        let contents;
+        pos = index + terminator.length;
+    };
 
-        try {
-            contents = fs.readFileSync('package.json');
-        } catch (e) {
-            if (e.code === 'ENOENT') {
-                logErrorAndExit('package.json does not exist');
-            }
+    while (pos < xml.length) {
+        const tagStart = xml.indexOf('<', pos);
 
-            throw e;
+        if (tagStart === -1) {
+            break;
         }
 
-        return JSON.parse(contents);
-    }
+        pos = tagStart;
 
-    _loadConfig () {
-        if (this._cljsbuild) {
-            return;
-        }
+        if (xml.startsWith('<!--', pos)) {
+            skipPast('-->', 'comment');
+        } else if (xml.startsWith('<![CDATA[', pos)) {
+            skipPast(']]>', 'cdata section');
+        } else if (xml.startsWith('<?', pos)) {
+            skipPast('?>', 'processing instruction');
+        } else if (xml.startsWith('<!', pos)) {
+            skipPast('>', 'declaration');
+        } else if (xml.startsWith('</', pos)) {
+            const element = stack.pop();
 
-        const data = this._loadPackageJson();
+            skipPast('>', 'closing tag');
 
-        if (!data.hasOwnProperty('cljsbuild')) {
-            warn('no "cljsbuild" key found in package.json');
-        }
+            const name = xml.slice(tagStart + 2, pos - 1).trim();
 
-        const defaults = this._getDefaults();
+            if (stack.length === 0 || element.name !== name) {
+                throw new Error(`unexpected closing tag </${name}> at offset ${tagStart}`);
+            }
 
-        this._cljsbuild = Object.assign({}, defaults, data.cljsbuild);
+            element.contentEnd = tagStart;
+            element.end = pos;
+        } else {
+            const name = /^<([^\s\/>]+)/.exec(xml.slice(pos, pos + 256));
+            let quote = null;
 
-        // more checks
-        const unknownKeys = lodash.difference(Object.keys(this._cljsbuild), Object.keys(defaults));
+            if (!name) {
+                throw new Error(`invalid tag at offset ${pos}`);
+            }
 
-        if (unknownKeys.length) {
-            warn(`unknown keys in package.json "cljsbuild": ${unknownKeys.join(', ')}`);
-        }
-    }
+            // attribute values may contain >
+            for (pos += name[0].length; pos < xml.length && (quote || xml[pos] !== '>'); pos++) {
+                if (xml[pos] === '"' || xml[pos] === "'") {
+                    quote = quote === xml[pos] ? null : (quote || xml[pos]);
+                }
+            }
 
-    _updatePackageJson (address, value) {
-        const path = address.slice(0,-1);
-        const property = address.slice(-1)[0];
+            if (pos === xml.length) {
+                throw new Error(`unterminated tag <${name[1]}> at offset ${tagStart}`);
+            }
 
-        const packageJson = this._loadPackageJson();
+            pos++;
 
-        let pointer = packageJson;
+            const selfClosing = xml[pos - 2] === '/';
+            const element = {name: name[1], selfClosing, start: tagStart, contentStart: pos, children: []};
 
-        path.forEach((key) => {
-            if (pointer[key] === undefined) {
-                pointer[key] = {};
+            lodash.last(stack).children.push(element);
+
+            if (selfClosing) {
+                element.contentEnd = pos;
+                element.end = pos;
+            } else {
+                stack.push(element);
             }
+        }
+    }
 
-            pointer = pointer[key];
-        });
+    if (stack.length > 1) {
+        throw new Error(`unclosed tag <${lodash.last(stack).name}>`);
+    }
 
-        pointer[property] = value;
+    return root.children;
+}
 
-        fs.writeFileSync('package.json', JSON.stringify(packageJson, null, 2));
+// add server elements (see toXml) to the contents of a maven
+// settings.xml, replacing the servers with the same ids
+function mergeMavenServers (settingsXml, servers) {
+    const xml = settingsXml || '<settings>\n</settings>\n';
+    const settings = readXmlElements(xml).find(element => element.name === 'settings');
 
-        this._cljsbuild = null;
-        this._loadConfig();
+    if (!settings) {
+        throw new Error('it has no settings element');
     }
 
-    /**
-     * Return a property from cljsbuild package.json entry.
-     *
-     * Print an errormessage and exit if the key does not exist.
-     */
-    getConfig (key) {
-        this._loadConfig();
+    const ids = servers.map(server => server.find(child => Array.isArray(child) && child[0] === 'id')[1]);
+    const serversXml = servers.map(server => toXml(server, '    ')).join('\n');
+    const serversElement = settings.children.find(element => element.name === 'servers');
+    // [start, end, replacement] in xml
+    let edits;
 
-        const value = this._cljsbuild[key];
+    if (!serversElement) {
+        edits = [[settings.contentEnd, settings.contentEnd, `  <servers>\n${serversXml}\n  </servers>\n`]];
+    } else if (serversElement.selfClosing) {
+        edits = [[serversElement.start, serversElement.end, `<servers>\n${serversXml}\n  </servers>`]];
+    } else {
+        edits = serversElement.children.filter((server) => {
+            const id = server.name === 'server' && server.children.find(element => element.name === 'id');
 
-        if (value === undefined) {
-            logErrorAndExit(`undefined package.json value: cljsbuild.${key}`);
-        }
+            return id && ids.indexOf(xmlText(xml, id).trim()) !== -1;
+        }).map((server) => {
+            // with the indentation before it
+            let start = server.start;
 
-        return value;
+            while (start > serversElement.contentStart && /[ \t\r\n]/.test(xml[start - 1])) {
+                start--;
+            }
+
+            return [start, server.end, ''];
+        }).concat([[serversElement.contentStart, serversElement.contentStart, `\n${serversXml}`]]);
     }
 
-    _fetchLatestVersion (name, releasesOnly) {
-        const groupId = name.split('/')[0];
-        const artifactId = name.split('/')[1] || groupId;
+    return lodash.sortBy(edits, edit => -edit[0]).reduce((result, [start, end, replacement]) => {
+        return result.slice(0, start) + replacement + result.slice(end);
+    }, xml);
+}
 
-        return findLatestMavenRelease(groupId, artifactId, releasesOnly).then((version) => {
-            if (version) {
-                return {name, version};
-            }
+function isDirectory (fileName) {
+    try {
+        return fs.statSync(fileName).isDirectory();
+    } catch (e) {
+        return false;
+    }
+}
 
-            return findLatestClojarsRelease(groupId, artifactId, releasesOnly).then((version) => {
-                if (version) {
-                    return {name, version};
-                }
+// watch dir and all its subdirectories, call onChange with the path of
+// each changed file
+// returns a function to stop watching
+function watchDirectory (dir, onChange) {
+    const watchers = {};
 
-                log(`no version found for package ${JSON.stringify(name)}`);
+    const watch = (directory) => {
+        if (watchers[directory] || !isDirectory(directory)) {
+            return;
+        }
 
-                return undefined;
-            });
+        watchers[directory] = fs.watch(directory, (event, fileName) => {
+            if (!fileName) {
+                return;
+            }
+
+            const file = path.join(directory, fileName.toString());
+
+            if (isDirectory(file)) {
+                watch(file);
+            } else {
+                onChange(file);
+            }
+        }).on('error', () => {
+            // e.g. the directory has been removed
+            watchers[directory].close();
+            delete watchers[directory];
         });
+
+        fs.readdirSync(directory).forEach(entry => watch(path.join(directory, entry)));
     };
 
-    // find the latest version for each package in packages
-    // returns a promise resolving to a map of name -> version
-    _findPackageVersions (packages, releasesOnly) {
-        return Promise.all(packages.map((name) => {
-            return this._fetchLatestVersion(name, releasesOnly);
-        })).then((depsWithVersions) => {
-            const dependencies = {};
+    watch(dir);
 
-            depsWithVersions.forEach((d) => {
-                if (d) {
-                    dependencies[d.name] = d.version;
-                }
-            });
+    return () => {
+        Object.keys(watchers).forEach(directory => watchers[directory].close());
+    };
+}
 
-            return dependencies;
-        });
+// return the lines of file around line (1-based) as a list of {line, text},
+// empty if the file cannot be read
+function readSourceExcerpt (file, line, context) {
+    let lines;
+
+    try {
+        lines = readFile(file).split('\n');
+    } catch (e) {
+        return [];
     }
 
-    /**
-     * Write an initial cljsbuild config into package.json.
-     *
-     * options:
-     *  - releasesOnly .. do not use alpha, beta, rc versions
-     *  - cider .. add cider/nrepl && refactor-nrepl
-     *  - dryRun .. only show what would have be written into package.json
-     */
-    initConfig (options) {
-        const data = this._loadPackageJson();
+    if (!line || line > lines.length) {
+        return [];
+    }
 
-        if (data.cljsbuild && data.cljsbuild.dependencies) {
-            logErrorAndExit('package.json cljsbuild.dependencies does already exist');
-        }
+    const from = Math.max(1, line - context);
+    const to = Math.min(lines.length, line + context);
 
-        const defaultPackages = [];
+    return lodash.range(from, to + 1).map(n => ({line: n, text: lines[n - 1]}));
+}
 
-        // base clojurescript
-        defaultPackages.push(
-            'org.clojure/clojure',
-            'org.clojure/clojurescript'
-        );
+// render an excerpt with line numbers, marking line and column
+function formatSourceExcerpt (excerpt, line, column) {
+    const width = String(excerpt.length ? lodash.last(excerpt).line : 0).length;
 
-        // nrepl
-        defaultPackages.push(
-            'org.clojure/tools.nrepl',
-            'com.cemerick/piggieback',
-            'weasel'
-        );
+    return lodash.flatMap(excerpt, (e) => {
+        const formatted = `${e.line === line ? '>' : ' '} ${lodash.padStart(e.line, width)} | ${e.text}`;
 
-        // emacs cider
-        if (options.cider) {
-            defaultPackages.push(
-                'cider/cider-nrepl',
-                'refactor-nrepl'
-            );
+        if (e.line !== line || !column) {
+            return [formatted];
         }
 
-        this._findPackageVersions(defaultPackages, options.releasesOnly).then((dependencies) => {
-            const packageJsonCljsbuild = {
-                main: '<add-your-namespace-here>/core',
-                dependencies
-            };
-
+        return [formatted, `  ${' '.repeat(width)} | ${' '.repeat(column - 1)}^`];
+    });
+}
+
+// return the paths of all files below dir
+function listFiles (dir) {
+    if (!isDirectory(dir)) {
+        return [];
+    }
+
+    return lodash.flatMap(fs.readdirSync(dir), (entry) => {
+        const file = path.join(dir, entry);
+
+        return isDirectory(file) ? listFiles(file) : [file];
+    });
+}
+
+// return the namespace declared in a clojure(script) source file
+function readNamespace (file) {
+    const match = readFile(file).match(/^\s*\(ns\s+(?:\^\S+\s+)?([^\s()[\]{}]+)/m);
+
+    return match ? match[1] : null;
+}
+
+// namespace name as used by goog.provide
+function mungeNamespace (ns) {
+    return ns.replace(/-/g, '_');
+}
+
+// read the goog.addDependency calls of an unoptimized build into a map
+// of (munged) namespaces to the namespaces they require, null if the
+// build has no cljs_deps.js
+function readCljsDeps (outputDir) {
+    const deps = readFile(path.join(outputDir, 'cljs_deps.js'));
+    const graph = {};
+    const names = list => (list.match(/'[^']*'|"[^"]*"/g) || []).map(n => n.slice(1, -1));
+
+    if (!deps) {
+        return null;
+    }
+
+    deps.replace(/goog\.addDependency\([^,]*,\s*\[([^\]]*)\],\s*\[([^\]]*)\]/g, (match, provides, requires) => {
+        names(provides).forEach((ns) => {
+            graph[ns] = names(requires);
+        });
+
+        return match;
+    });
+
+    return graph;
+}
+
+function isRlwrapAvailable () {
+    try {
+        childProcess.execSync('which rlwraps');
+
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function readCljsBuildPackageJson () {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json')));
+    } catch (e) {
+        log('error while trying to load cljsbuilds package.json');
+        throw e;
+    }
+}
+
+/* http */
+
+// the proxy url from the http_proxy, https_proxy and no_proxy environment
+// variables to use for urlObject, or undefined
+function getProxyUrl (urlObject) {
+    const env = name => process.env[name] || process.env[name.toUpperCase()];
+    const hostname = urlObject.hostname;
+    const noProxy = (env('no_proxy') || '').split(',').map(entry => entry.trim().replace(/^\./, '')).filter(Boolean);
+
+    if (noProxy.some(entry => entry === '*' || hostname === entry || hostname.endsWith(`.${entry}`))) {
+        return undefined;
+    }
+
+    const proxy = urlObject.protocol === 'https:' ? env('https_proxy') || env('http_proxy') : env('http_proxy');
+
+    if (proxy && !/^[a-z]+:\/\//.test(proxy)) {
+        return `http://${proxy}`;
+    }
+
+    return proxy;
+}
+
+function proxyHeaders (proxyObject) {
+    if (!proxyObject.auth) {
+        return {};
+    }
+
+    return {'proxy-authorization': `Basic ${Buffer.from(decodeURIComponent(proxyObject.auth)).toString('base64')}`};
+}
+
+// open a tunnel through an http proxy, resolves to the socket
+function connectThroughProxy (proxyObject, urlObject, timeout) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            hostname: proxyObject.hostname,
+            port: proxyObject.port || 80,
+            method: 'CONNECT',
+            path: `${urlObject.hostname}:${urlObject.port || 443}`,
+            headers: proxyHeaders(proxyObject),
+            timeout
+        });
+
+        request.on('connect', (response, socket) => {
+            if (response.statusCode !== 200) {
+                socket.destroy();
+                reject(new Error(`proxy ${proxyObject.host} refused to connect to ${urlObject.host}: HTTP ${response.statusCode}`));
+
+                return;
+            }
+
+            resolve(socket);
+        });
+        request.on('timeout', () => request.destroy(new Error(`timeout after ${timeout}ms connecting to proxy ${proxyObject.host}`)));
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+// a single GET request, resolves to {statusCode, headers, body}
+function httpRequest (requestUrl, auth, timeout) {
+    const urlObject = url.parse(requestUrl);
+    const proxyUrl = getProxyUrl(urlObject);
+    const proxyObject = proxyUrl && url.parse(proxyUrl);
+    const client = urlObject.protocol === 'http:' ? http : https;
+    const options = {
+        hostname: urlObject.hostname,
+        port: urlObject.port,
+        path: urlObject.path,
+        auth,
+        headers: {},
+        timeout
+    };
+    let connected = Promise.resolve();
+
+    if (proxyObject && client === https) {
+        connected = connectThroughProxy(proxyObject, urlObject, timeout).then((socket) => {
+            options.createConnection = () => tls.connect({socket, servername: urlObject.hostname});
+        });
+    } else if (proxyObject) {
+        Object.assign(options, {hostname: proxyObject.hostname, port: proxyObject.port || 80, path: requestUrl});
+        Object.assign(options.headers, proxyHeaders(proxyObject));
+    }
+
+    debug(`GET ${requestUrl}${proxyObject ? ` via proxy ${proxyObject.host}` : ''}`);
+
+    return connected.then(() => new Promise((resolve, reject) => {
+        const request = client.get(options, (response) => {
+            let body = '';
+
+            response.setEncoding('utf8');
+            response.on('data', (data) => {
+                body += data;
+            });
+            response.on('end', () => {
+                resolve({statusCode: response.statusCode, headers: response.headers, body});
+            });
+            response.on('error', reject);
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`timeout after ${timeout}ms: GET ${requestUrl}`)));
+        request.on('error', reject);
+    }));
+}
+
+/**
+ * GET an url and return a promise resolving to the response body.
+ *
+ * Follows redirects and uses the proxy from the http_proxy, https_proxy and
+ * no_proxy environment variables. Network errors, timeouts and 5xx responses
+ * are retried, other responses than 200 reject with an error with statusCode.
+ *
+ * options:
+ *  - url .. the url to get
+ *  - qs .. object with the query string parameters
+ *  - auth .. 'user:password' for basic authentication
+ *  - timeout .. milliseconds to wait for the response, default 10000
+ *  - retries .. how often to retry a failed request, default 2
+ */
+function httpGet (requestOptions) {
+    const qs = querystring.encode(requestOptions.qs);
+    const requestUrl = requestOptions.url + (qs ? '?' : '') + qs;
+    const timeout = requestOptions.timeout || 10000;
+    const retries = requestOptions.retries === undefined ? 2 : requestOptions.retries;
+
+    const get = (location, redirects) => {
+        // do not send the credentials to other hosts
+        const auth = url.parse(location).host === url.parse(requestUrl).host ? requestOptions.auth : undefined;
+
+        return httpRequest(location, auth, timeout).then((response) => {
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location && redirects < 5) {
+                return get(url.resolve(location, response.headers.location), redirects + 1);
+            }
+
+            if (response.statusCode !== 200) {
+                const error = new Error(`HTTP ${response.statusCode}: GET ${location}`);
+
+                error.statusCode = response.statusCode;
+                throw error;
+            }
+
+            return response.body;
+        });
+    };
+
+    const attempt = (retry) => {
+        return get(requestUrl, 0).catch((e) => {
+            if (retry >= retries || e.statusCode < 500) {
+                throw e;
+            }
+
+            debug(`${e.message}, retrying`);
+
+            return new Promise(resolve => setTimeout(resolve, 500 * Math.pow(2, retry))).then(() => attempt(retry + 1));
+        });
+    };
+
+    return attempt(0);
+}
+
+// like httpGet, resolves to the parsed JSON response
+function httpGetJson (requestOptions) {
+    return httpGet(requestOptions).then((body) => {
+        try {
+            return JSON.parse(body);
+        } catch (e) {
+            throw new Error(`invalid JSON response from ${requestOptions.url}: ${e.message}`);
+        }
+    });
+}
+
+// like httpGet, but reads file: urls from the filesystem
+// resolves to undefined when the file or url does not exist
+function fetchText (requestOptions) {
+    if (requestOptions.url.startsWith('file:')) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(url.fileURLToPath(requestOptions.url), 'utf8', (err, text) => {
+                if (err && err.code !== 'ENOENT') {
+                    reject(err);
+                } else {
+                    resolve(err ? undefined : text);
+                }
+            });
+        });
+    }
+
+    return httpGet(requestOptions).catch((e) => {
+        if (e.statusCode === 404) {
+            return undefined;
+        }
+
+        throw e;
+    });
+}
+
+/* versions */
+
+// maven version qualifiers in ascending order, '' is a release, unknown
+// qualifiers sort after all of them
+const versionQualifiers = ['alpha', 'beta', 'milestone', 'rc', 'snapshot', '', 'sp'];
+const versionQualifierAliases = {a: 'alpha', b: 'beta', m: 'milestone', cr: 'rc', ga: '', final: '', release: ''};
+
+// split a maven version into numbers and qualifiers,
+// e.g. '1.10.238-RC1' .. [1, 10, 238, 'rc', 1]
+function parseVersion (version) {
+    return (String(version).toLowerCase().match(/[0-9]+|[a-z]+/g) || []).map((item) => {
+        if (/^[0-9]/.test(item)) {
+            return parseInt(item, 10);
+        }
+
+        return versionQualifierAliases.hasOwnProperty(item) ? versionQualifierAliases[item] : item;
+    });
+}
+
+function compareVersionItems (a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+
+    // 1.0.1 is newer than 1.0-beta
+    if (typeof a === 'number' || typeof b === 'number') {
+        return typeof a === 'number' ? 1 : -1;
+    }
+
+    const rank = q => versionQualifiers.indexOf(q) === -1 ? versionQualifiers.length : versionQualifiers.indexOf(q);
+
+    return rank(a) - rank(b) || (rank(a) === versionQualifiers.length ? a.localeCompare(b) : 0);
+}
+
+/**
+ * Compare two maven versions, return a negative number, zero or a positive
+ * number when a is older, the same or newer than b.
+ *
+ * Follows the maven ordering: missing parts are 0 (1.0 == 1.0.0), numbers are
+ * compared numerically and alpha < beta < milestone < rc < snapshot < release
+ * < sp, e.g. 1.0-alpha1 < 1.0-rc2 < 1.0-SNAPSHOT < 1.0 < 1.0-sp1 < 1.0.1.
+ */
+function compareVersions (a, b) {
+    // 1.0.0 and 1.0-final are the same as 1
+    const trim = items => lodash.dropRightWhile(items, item => item === 0 || item === '');
+    const itemsA = trim(parseVersion(a));
+    const itemsB = trim(parseVersion(b));
+
+    for (let i = 0; i < Math.max(itemsA.length, itemsB.length); i++) {
+        // compare missing items as 0 or as a release
+        const itemA = i < itemsA.length ? itemsA[i] : (typeof itemsB[i] === 'number' ? 0 : '');
+        const itemB = i < itemsB.length ? itemsB[i] : (typeof itemsA[i] === 'number' ? 0 : '');
+        const result = compareVersionItems(itemA, itemB);
+
+        if (result) {
+            return result;
+        }
+    }
+
+    return 0;
+}
+
+// true for alpha, beta, milestone, RC and SNAPSHOT versions
+function isPrereleaseVersion (version) {
+    return parseVersion(version).some(item => typeof item === 'string' && versionQualifiers.indexOf(item) !== -1 && versionQualifiers.indexOf(item) < versionQualifiers.indexOf(''));
+}
+
+// true when candidate is a newer version than current that an update
+// policy level (pin, patch, minor or major) allows
+function isAllowedUpdate (current, candidate, level) {
+    const [major, minor] = parseVersion(current);
+    const [candidateMajor, candidateMinor] = parseVersion(candidate);
+
+    if (compareVersions(candidate, current) <= 0) {
+        return false;
+    }
+
+    return {
+        pin: false,
+        patch: major === candidateMajor && minor === candidateMinor,
+        minor: major === candidateMajor,
+        major: true
+    }[level];
+}
+
+/* artifact search */
+
+// the versions listed in a maven-metadata.xml, in the order of the file
+function parseMavenMetadataVersions (xml) {
+    const versions = /<versions>([\s\S]*?)<\/versions>/.exec(xml || '');
+
+    if (!versions) {
+        return [];
+    }
+
+    return (versions[1].match(/<version>[^<]*<\/version>/g) || []).map(v => v.replace(/<\/?version>/g, '').trim());
+}
+
+// the options for httpGet from a search endpoint
+function endpointRequest (endpoint, requestUrl, qs) {
+    return {url: requestUrl, qs, auth: endpoint.auth, timeout: endpoint.timeout, retries: endpoint.retries};
+}
+
+// endpoints to find the versions of an artifact (see Config.getSearchEndpoints)
+//  - defaultUrl .. used when the endpoint has no url
+//  - versions(endpoint, groupId, artifactId) .. a promise resolving to
+//    the known versions
+const artifactSearches = {
+    'maven-central': {
+        defaultUrl: 'https://search.maven.org/solrsearch/select',
+        versions: (endpoint, groupId, artifactId) => httpGetJson(endpointRequest(endpoint, endpoint.url, {
+            q: `g:${JSON.stringify(groupId)} AND a:${JSON.stringify(artifactId)}`,
+            wt: 'json',
+            rows: 32,
+            core: 'gav'
+        })).then(data => data.response.docs.map(doc => doc.v))
+    },
+    clojars: {
+        defaultUrl: 'https://clojars.org/search',
+        versions: (endpoint, groupId, artifactId) => httpGetJson(endpointRequest(endpoint, endpoint.url, {
+            q: `${groupId} ${artifactId}`,
+            format: 'json'
+        })).then((data) => {
+            return data.results
+                .filter(item => item.group_name === groupId && item.jar_name === artifactId)
+                .map(item => item.version);
+        })
+    },
+    // any maven repository, e.g. a Nexus or Artifactory, or a local directory
+    'maven-metadata': {
+        defaultUrl: undefined,
+        versions: (endpoint, groupId, artifactId) => {
+            const metadataUrl = `${endpoint.url.replace(/\/$/, '')}/${groupId.replace(/\./g, '/')}/${artifactId}/maven-metadata.xml`;
+
+            return fetchText(endpointRequest(endpoint, metadataUrl)).then(xml => parseMavenMetadataVersions(xml));
+        }
+    },
+    // the versions downloaded into the local maven repository
+    local: {
+        defaultUrl: url.pathToFileURL(path.join(os.homedir(), '.m2', 'repository')).href,
+        versions: (endpoint, groupId, artifactId) => {
+            const dir = path.join(url.fileURLToPath(endpoint.url), ...groupId.split('.'), artifactId);
+            let entries;
+
+            try {
+                entries = fs.readdirSync(dir);
+            } catch (e) {
+                return Promise.resolve([]);
+            }
+
+            // skip the directories of failed downloads
+            return Promise.resolve(entries.filter(version => fs.existsSync(path.join(dir, version, `${artifactId}-${version}.pom`))));
+        }
+    }
+};
+
+// find the versions of an artifact, searching the endpoints in order until
+// one knows it
+// returns a promise resolving to the versions, newest first
+function findVersions (endpoints, groupId, artifactId) {
+    let lastError;
+
+    const search = (index) => {
+        const endpoint = endpoints[index];
+
+        if (!endpoint) {
+            if (lastError) {
+                return Promise.reject(lastError);
+            }
+
+            return Promise.resolve([]);
+        }
+
+        return artifactSearches[endpoint.type].versions(endpoint, groupId || '', artifactId || '').then((versions) => {
+            if (versions.length) {
+                debug(`found ${groupId}/${artifactId} ${versions.join(', ')} using ${endpoint.type} ${endpoint.url}`);
+
+                return lodash.uniq(versions).sort((a, b) => compareVersions(b, a));
+            }
+
+            return search(index + 1);
+        }, (e) => {
+            warn(`could not search ${endpoint.type} ${endpoint.url}: ${e.message}`);
+            lastError = e;
+
+            return search(index + 1);
+        });
+    };
+
+    return search(0);
+}
+
+/* advisories */
+
+const severities = ['low', 'moderate', 'high', 'critical'];
+
+// read the vulnerabilities from an OSV advisory database: a JSON file with
+// one vulnerability, a list of them or {"vulns": [...]}, or a directory of
+// such files
+function readAdvisories (fileName) {
+    const files = isDirectory(fileName) ? listFiles(fileName).filter(file => file.endsWith('.json')) : [fileName];
+
+    return lodash.flatten(files.map((file) => {
+        let data;
+
+        try {
+            data = JSON.parse(fs.readFileSync(file));
+        } catch (e) {
+            throw new Error(`could not read advisories from ${file}: ${e.message}`);
+        }
+
+        return Array.isArray(data) ? data : (data.vulns || [data]);
+    }));
+}
+
+// true when version is one of the versions or inside one of the
+// ECOSYSTEM or SEMVER ranges of an OSV affected entry
+function isAffectedVersion (affected, version) {
+    if ((affected.versions || []).indexOf(version) !== -1) {
+        return true;
+    }
+
+    return (affected.ranges || []).filter(range => range.type !== 'GIT').some((range) => {
+        const eventVersion = event => [event.introduced, event.fixed, event.last_affected].find(v => v !== undefined);
+        const events = (range.events || []).slice().sort((a, b) => {
+            return eventVersion(a) === '0' ? -1 : (eventVersion(b) === '0' ? 1 : compareVersions(eventVersion(a), eventVersion(b)));
+        });
+        let isAffected = false;
+
+        events.forEach((event) => {
+            if (event.introduced !== undefined && (event.introduced === '0' || compareVersions(version, event.introduced) >= 0)) {
+                isAffected = true;
+            } else if (event.fixed !== undefined && compareVersions(version, event.fixed) >= 0) {
+                isAffected = false;
+            } else if (event.last_affected !== undefined && compareVersions(version, event.last_affected) > 0) {
+                isAffected = false;
+            }
+        });
+
+        return isAffected;
+    });
+}
+
+// the severity of a vulnerability (low, moderate, high, critical) from its
+// database_specific data, or 'unknown'
+function getSeverity (vulnerability, affected) {
+    const severity = String((affected.database_specific || {}).severity || (vulnerability.database_specific || {}).severity || '').toLowerCase();
+
+    if (severity === 'medium') {
+        return 'moderate';
+    }
+
+    return severities.indexOf(severity) === -1 ? 'unknown' : severity;
+}
+
+// the first version fixing a vulnerability that is newer than version
+function getFixedVersion (affected, version) {
+    const fixed = lodash.flatten((affected.ranges || []).map(range => (range.events || []).map(event => event.fixed)))
+        .filter(v => v && compareVersions(v, version) > 0)
+        .sort(compareVersions);
+
+    return fixed[0];
+}
+
+/**
+ * Find the vulnerabilities of maven artifacts in an OSV advisory database.
+ *
+ * Returns a list of {artifact, version, id, aliases, summary, severity,
+ * fixed} for each vulnerable artifact, artifacts are {groupId, artifactId,
+ * version}.
+ */
+function auditArtifacts (artifacts, vulnerabilities) {
+    const findings = [];
+
+    artifacts.forEach((artifact) => {
+        const packageName = `${artifact.groupId}:${artifact.artifactId}`;
+
+        vulnerabilities.forEach((vulnerability) => {
+            const affected = (vulnerability.affected || []).find((a) => {
+                return a.package && a.package.ecosystem === 'Maven' && a.package.name === packageName && isAffectedVersion(a, artifact.version);
+            });
+
+            if (affected) {
+                findings.push(lodash.omitBy({
+                    artifact: `${artifact.groupId}/${artifact.artifactId}`,
+                    version: artifact.version,
+                    id: vulnerability.id,
+                    aliases: vulnerability.aliases || [],
+                    summary: vulnerability.summary || '',
+                    severity: getSeverity(vulnerability, affected),
+                    fixed: getFixedVersion(affected, artifact.version)
+                }, lodash.isUndefined));
+            }
+        });
+    });
+
+    return lodash.uniqWith(findings, lodash.isEqual);
+}
+
+/* edn */
+
+// Edn types without a JSON equivalent are marked with single-key objects:
+//
+//   {"#keyword": "ns/name"} .. :ns/name
+//   {"#symbol": "ns/name"} ..  ns/name
+//   {"#set": [...]} .. #{...}
+//   {"#list": [...]} .. (...)
+//   {"#map": [[key, value], ...]} .. map with arbitrary (e.g. string) keys
+//
+// Keys of plain JSON objects are written as keywords.
+
+function ednKeyword (name) {
+    return {'#keyword': name};
+}
+
+function ednSymbol (name) {
+    return {'#symbol': name};
+}
+
+function ednSet (items) {
+    return {'#set': items};
+}
+
+function ednList (items) {
+    return {'#list': items};
+}
+
+function ednMap (entries) {
+    return {'#map': entries};
+}
+
+// return the value of key in an edn map or undefined
+function ednMapGet (map, key) {
+    const entry = ((map || {})['#map'] || []).find(e => lodash.isEqual(e[0], key));
+
+    return entry && entry[1];
+}
+
+// return the name of an edn keyword or symbol or undefined
+function ednName (value) {
+    return (value || {})['#keyword'] || (value || {})['#symbol'];
+}
+
+// symbol and keyword names, see https://github.com/edn-format/edn#symbols
+const ednSymbolRegex = /^(?:[a-zA-Z.*+!_?$%&=<>-][\w.*+!?$%&=<>:#'-]*\/)?(?:\/|[a-zA-Z.*+!_?$%&=<>-][\w.*+!?$%&=<>:#'-]*)$/;
+
+function ednSymbolName (name, type) {
+    if (typeof name !== 'string' || !ednSymbolRegex.test(name) || /^[+-.]\d/.test(name)) {
+        throw new Error(`invalid edn ${type} name: ${JSON.stringify(name)}`);
+    }
+
+    return name;
+}
+
+// escape a string, the JSON escape sequences are a subset of the clojure
+// readers string escapes
+function ednString (value) {
+    return JSON.stringify(value);
+}
+
+const ednTags = {
+    '#keyword': name => `:${ednSymbolName(name, 'keyword')}`,
+    '#symbol': name => ednSymbolName(name, 'symbol'),
+    '#set': items => '#{' + lodash.uniqBy(items, toEdn).map(toEdn).join(' ') + '}',
+    '#list': items => '(' + items.map(toEdn).join(' ') + ')',
+    '#map': entries => '{' + entries.map(e => `${toEdn(e[0])} ${toEdn(e[1])}`).join(', ') + '}'
+};
+
+/**
+ * Serialize a JSON value to edn, honoring the type markers created by
+ * ednKeyword, ednSymbol, ednSet and ednMap.
+ *
+ * Throws an Error for values that have no edn representation.
+ */
+function toEdn (value) {
+    if (value === null || value === undefined) {
+        return 'nil';
+    }
+
+    if (typeof value === 'boolean') {
+        return String(value);
+    }
+
+    if (typeof value === 'number') {
+        if (!isFinite(value)) {
+            throw new Error(`cannot write ${value} as edn`);
+        }
+
+        return String(value);
+    }
+
+    if (typeof value === 'string') {
+        return ednString(value);
+    }
+
+    if (Array.isArray(value)) {
+        return '[' + value.map(toEdn).join(' ') + ']';
+    }
+
+    if (typeof value === 'object') {
+        const keys = Object.keys(value);
+
+        if (keys.length === 1 && ednTags.hasOwnProperty(keys[0])) {
+            return ednTags[keys[0]](value[keys[0]]);
+        }
+
+        return '{' + keys.map((k) => {
+            return `:${ednSymbolName(k, 'keyword')} ${toEdn(value[k])}`;
+        }).join(', ') + '}';
+    }
+
+    throw new Error(`cannot write ${typeof value} as edn`);
+}
+
+// convert edn read by readEdn into plain JSON: keywords and symbols become
+// their names, sets and lists become arrays and map keys become strings
+function fromEdn (value) {
+    if (Array.isArray(value)) {
+        return value.map(fromEdn);
+    }
+
+    if (value && typeof value === 'object') {
+        const tag = Object.keys(value)[0];
+
+        if (tag === '#keyword' || tag === '#symbol') {
+            return value[tag];
+        }
+        if (tag === '#set' || tag === '#list') {
+            return value[tag].map(fromEdn);
+        }
+        if (tag === '#map') {
+            return lodash.fromPairs(value[tag].map(e => [String(fromEdn(e[0])), fromEdn(e[1])]));
+        }
+    }
+
+    return value;
+}
+
+const ednCharacterNames = {
+    newline: '\n',
+    space: ' ',
+    tab: '\t',
+    return: '\r',
+    backspace: '\b',
+    formfeed: '\f'
+};
+
+const ednStringEscapes = {
+    n: '\n',
+    t: '\t',
+    r: '\r',
+    b: '\b',
+    f: '\f',
+    '"': '"',
+    '\\': '\\'
+};
+
+// the value of a #_ form
+const ednDiscarded = {};
+
+/**
+ * Read all forms of an edn (or clojure source) string into the JSON
+ * representation used by toEdn.
+ *
+ * Covers what is needed to read deps.edn and project.clj files: metadata,
+ * quotes, regexes and tagged literals are read but ignored, characters are
+ * read as strings.
+ * Throws an Error containing the line number on invalid input.
+ */
+function readEdn (text) {
+    let pos = 0;
+
+    const error = (message) => {
+        const line = text.slice(0, pos).split('\n').length;
+
+        throw new Error(`edn syntax error on line ${line}: ${message}`);
+    };
+
+    const skipWhitespace = () => {
+        while (pos < text.length) {
+            if (/[\s,]/.test(text[pos])) {
+                pos++;
+            } else if (text[pos] === ';') {
+                while (pos < text.length && text[pos] !== '\n') {
+                    pos++;
+                }
+            } else {
+                break;
+            }
+        }
+    };
+
+    const readToken = () => {
+        const start = pos;
+
+        while (pos < text.length && !/[\s,()[\]{}";]/.test(text[pos])) {
+            pos++;
+        }
+
+        return text.slice(start, pos);
+    };
+
+    const readString = () => {
+        let value = '';
+
+        pos++; // opening quote
+
+        for (;;) {
+            if (pos >= text.length) {
+                error('unterminated string');
+            }
+
+            const c = text[pos++];
+
+            if (c === '"') {
+                return value;
+            }
+
+            if (c !== '\\') {
+                value += c;
+            } else if (text[pos] === 'u') {
+                const hex = text.slice(pos + 1, pos + 5);
+
+                if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+                    error(`invalid unicode escape \\u${hex}`);
+                }
+
+                value += String.fromCharCode(parseInt(hex, 16));
+                pos += 5;
+            } else if (ednStringEscapes.hasOwnProperty(text[pos])) {
+                value += ednStringEscapes[text[pos++]];
+            } else {
+                error(`invalid string escape \\${text[pos]}`);
+            }
+        }
+    };
+
+    const readCharacter = () => {
+        pos++; // backslash
+
+        // the first character may be a delimiter, e.g. \( or \space
+        const name = text[pos++] + readToken();
+
+        if (name.length === 1) {
+            return name;
+        }
+        if (ednCharacterNames.hasOwnProperty(name)) {
+            return ednCharacterNames[name];
+        }
+        if (/^u[0-9a-fA-F]{4}$/.test(name)) {
+            return String.fromCharCode(parseInt(name.slice(1), 16));
+        }
+
+        return error(`invalid character \\${name}`);
+    };
+
+    const readAtom = () => {
+        const token = readToken();
+
+        if (token === 'nil') {
+            return null;
+        }
+        if (token === 'true' || token === 'false') {
+            return token === 'true';
+        }
+        if (/^[-+]?\d/.test(token)) {
+            const ratio = token.match(/^([-+]?\d+)\/(\d+)$/);
+            const number = ratio ? ratio[1] / ratio[2] : Number(token.replace(/[NM]$/, ''));
+
+            if (isNaN(number)) {
+                error(`invalid number ${token}`);
+            }
+
+            return number;
+        }
+        if (token[0] === ':') {
+            // auto-resolved keywords (::foo) keep their plain name
+            return ednKeyword(token.replace(/^::?/, ''));
+        }
+        if (!token) {
+            error(`unexpected character ${JSON.stringify(text[pos])}`);
+        }
+
+        return ednSymbol(token);
+    };
+
+    const readDelimited = (close) => {
+        const items = [];
+
+        for (;;) {
+            skipWhitespace();
+
+            if (pos >= text.length) {
+                error(`missing closing ${close}`);
+            }
+
+            if (text[pos] === close) {
+                pos++;
+
+                return items;
+            }
+
+            const form = readForm();
+
+            if (form !== ednDiscarded) {
+                items.push(form);
+            }
+        }
+    };
+
+    const readMap = () => {
+        const items = readDelimited('}');
+
+        if (items.length % 2) {
+            error('map literal must contain an even number of forms');
+        }
+
+        return ednMap(lodash.chunk(items, 2));
+    };
+
+    const readDispatch = () => {
+        pos++; // #
+
+        switch (text[pos]) {
+        case '{':
+            pos++;
+
+            return ednSet(readDelimited('}'));
+        case '_':
+            pos++;
+            readForm();
+
+            return ednDiscarded;
+        case '"':
+            return readString();
+        case '(':
+            pos++;
+
+            return ednList(readDelimited(')'));
+        case '\'':
+            pos++;
+
+            return readForm();
+        default:
+            // tagged literal, reader conditional or namespaced map:
+            // use the tagged value
+            readToken();
+            skipWhitespace();
+
+            return readForm();
+        }
+    };
+
+    const readForm = () => {
+        skipWhitespace();
+
+        if (pos >= text.length) {
+            error('unexpected end of input');
+        }
+
+        const c = text[pos];
+
+        switch (c) {
+        case '(':
+            pos++;
+
+            return ednList(readDelimited(')'));
+        case '[':
+            pos++;
+
+            return readDelimited(']');
+        case '{':
+            pos++;
+
+            return readMap();
+        case ')':
+        case ']':
+        case '}':
+            return error(`unmatched ${c}`);
+        case '"':
+            return readString();
+        case '\\':
+            return readCharacter();
+        case '#':
+            return readDispatch();
+        case '^':
+            // metadata
+            pos++;
+            readForm();
+
+            return readForm();
+        case '\'':
+        case '`':
+        case '~':
+        case '@':
+            pos += text.slice(pos, pos + 2) === '~@' ? 2 : 1;
+
+            return readForm();
+        default:
+            return readAtom();
+        }
+    };
+
+    const forms = [];
+
+    for (;;) {
+        skipWhitespace();
+
+        if (pos >= text.length) {
+            return forms;
+        }
+
+        const form = readForm();
+
+        if (form !== ednDiscarded) {
+            forms.push(form);
+        }
+    }
+}
+
+/* npm */
+
+// the properties of value, the exports of a prebuilt bundle, as a list of
+// [dotted name, 'function', 'object' or 'value'] up to a depth of 2
+// runs in a child process (see exportedPropertiesScript), so it must not
+// use anything outside its own body
+function listExportedProperties (value) {
+    const properties = [];
+    const seen = new Set();
+    const ignored = ['prototype', 'constructor', 'length', 'name', 'caller', 'arguments'];
+
+    const list = (prefix, object, depth) => {
+        if (seen.has(object)) {
+            return;
+        }
+
+        seen.add(object);
+
+        Object.getOwnPropertyNames(object).sort().forEach((key) => {
+            if (!/^[A-Za-z_$][\w$]*$/.test(key) || ignored.indexOf(key) !== -1) {
+                return;
+            }
+
+            const name = prefix ? `${prefix}.${key}` : key;
+            let property;
+
+            try {
+                property = object[key];
+            } catch (e) {
+                return;
+            }
+
+            if (typeof property === 'function') {
+                properties.push([name, 'function']);
+
+                if (property.prototype && depth < 2) {
+                    list(`${name}.prototype`, property.prototype, depth + 1);
+                }
+            } else if (property && typeof property === 'object' && depth < 2) {
+                properties.push([name, 'object']);
+                list(name, property, depth + 1);
+            } else {
+                properties.push([name, 'value']);
+            }
+        });
+    };
+
+    if (value && (typeof value === 'object' || typeof value === 'function')) {
+        list('', value, 0);
+    }
+
+    return properties;
+}
+
+// node script printing the exported properties of the module in argv[1]
+// on a line after the output of the module
+const exportedPropertiesScript = `
+const listExportedProperties = ${listExportedProperties};
+const properties = listExportedProperties(require(process.argv[1]));
+
+process.stdout.write('\\ncljsbuild/exports ' + JSON.stringify(properties) + '\\n');
+process.exit(0);
+`;
+
+// load a bundle in a separate node process, so that its side effects do
+// not reach cljsbuild, and return its exported properties
+// throws when the bundle cannot be loaded
+function readExportedProperties (file) {
+    let output;
+
+    try {
+        output = childProcess.execFileSync(process.execPath, ['-e', exportedPropertiesScript, file], {
+            cwd: path.dirname(file),
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+            timeout: 30000
+        });
+    } catch (e) {
+        // the error thrown by the bundle instead of the whole stack trace
+        throw new Error((e.stderr || '').split('\n').find(line => /^\w*Error\b/.test(line)) || e.message);
+    }
+
+    const line = output.split('\n').reverse().find(l => l.startsWith('cljsbuild/exports '));
+
+    if (!line) {
+        throw new Error('the bundle did not report its exports');
+    }
+
+    return JSON.parse(line.slice('cljsbuild/exports '.length));
+}
+
+// closure compiler externs declaring globalName and its properties (see
+// listExportedProperties), so that :advanced builds do not rename them
+function generateExterns (globalName, properties) {
+    return [`var ${globalName} = {};`].concat((properties || []).map(([name, type]) => {
+        if (type === 'function') {
+            return `${globalName}.${name} = function () {};`;
+        }
+
+        if (type === 'object') {
+            return `${globalName}.${name} = {};`;
+        }
+
+        return `${globalName}.${name};`;
+    })).join('\n') + '\n';
+}
+
+/* size reports */
+
+const base64Digits = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// the sizes budgets accept: a number of bytes or a string like "150kB"
+// (kB and MB are 1000 based, KiB and MiB 1024 based)
+const sizeRegex = /^(\d+(?:\.\d+)?)\s*(b|kb|kib|mb|mib)?$/i;
+
+const sizeUnits = {b: 1, kb: 1000, kib: 1024, mb: 1000 * 1000, mib: 1024 * 1024};
+
+function parseSize (value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    const match = sizeRegex.exec(value);
+
+    return Math.round(parseFloat(match[1]) * sizeUnits[(match[2] || 'b').toLowerCase()]);
+}
+
+function formatSize (bytes) {
+    if (bytes < 1000) {
+        return `${bytes} B`;
+    }
+
+    if (bytes < 1000 * 1000) {
+        return `${(bytes / 1000).toFixed(1)} kB`;
+    }
+
+    return `${(bytes / 1000 / 1000).toFixed(2)} MB`;
+}
+
+// the values of a base64 VLQ encoded source map segment
+function decodeVlqSegment (segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of segment) {
+        const digit = base64Digits.indexOf(char);
+
+        if (digit === -1) {
+            throw new Error(`invalid source map segment ${JSON.stringify(segment)}`);
+        }
+
+        value += (digit & 31) * Math.pow(2, shift);
+
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value % 2 ? -(value - 1) / 2 : value / 2);
+            value = 0;
+            shift = 0;
+        }
+    }
+
+    return values;
+}
+
+// split the generated code into the chunks each source of the source map
+// produced, returns a Map of source (null for unmapped code) -> text
+function attributeGeneratedCode (code, sourceMap) {
+    if (typeof sourceMap.mappings !== 'string' || !Array.isArray(sourceMap.sources)) {
+        throw new Error('unsupported source map, expected a version 3 map with sources and mappings');
+    }
+
+    const mappingLines = sourceMap.mappings.split(';');
+    const lines = code.split('\n');
+    const chunks = new Map();
+    let sourceIndex = 0;
+
+    const add = (source, text) => {
+        if (text) {
+            if (!chunks.has(source)) {
+                chunks.set(source, []);
+            }
+
+            chunks.get(source).push(text);
+        }
+    };
+
+    lines.forEach((line, lineNumber) => {
+        // the code before the first segment of a line is unmapped, the
+        // code of a segment reaches to the next one
+        let column = 0;
+        let start = 0;
+        let source = null;
+
+        (mappingLines[lineNumber] || '').split(',').filter(Boolean).forEach((segment) => {
+            const values = decodeVlqSegment(segment);
+
+            column += values[0];
+            add(source, line.slice(start, column));
+            start = column;
+
+            if (values.length >= 4) {
+                sourceIndex += values[1];
+                source = sourceMap.sources[sourceIndex];
+            } else {
+                source = null;
+            }
+        });
+
+        add(source, line.slice(start) + (lineNumber < lines.length - 1 ? '\n' : ''));
+    });
+
+    return new Map(Array.from(chunks, ([source, texts]) => [source, texts.join('')]));
+}
+
+function measure (text) {
+    return {raw: Buffer.byteLength(text), gzip: zlib.gzipSync(text).length};
+}
+
+/**
+ * The size of generated code by namespace and library.
+ *
+ * describeSource(source) returns the {namespace, library} of a source of
+ * the source map. The gzip size of each namespace and library is that of
+ * its code compressed on its own, so they add up to more than the total.
+ *
+ * Returns {total, namespaces, libraries}, each entry with raw and gzip
+ * sizes in bytes, the largest first.
+ */
+function getSizeReport (code, sourceMap, describeSource) {
+    const unmapped = {namespace: '(unmapped)', library: '(unmapped)'};
+    const sources = Array.from(attributeGeneratedCode(code, sourceMap), ([source, text]) => {
+        return Object.assign({text}, source === null ? unmapped : describeSource(source));
+    });
+    const bySize = entries => lodash.sortBy(entries, entry => -entry.raw);
+    const namespaces = lodash.map(lodash.groupBy(sources, 'namespace'), (group, name) => {
+        return Object.assign({name, library: group[0].library}, measure(group.map(s => s.text).join('')));
+    });
+    const libraries = lodash.map(lodash.groupBy(sources, 'library'), (group, name) => {
+        return Object.assign({name, namespaces: lodash.uniq(group.map(s => s.namespace)).length}, measure(group.map(s => s.text).join('')));
+    });
+
+    return {total: measure(code), namespaces: bySize(namespaces), libraries: bySize(libraries)};
+}
+
+// the problems of a build exceeding its budget, see cljsbuild.budgets
+function checkBudget (size, budget) {
+    return ['raw', 'gzip'].filter(key => budget[key] !== undefined && size.total[key] > parseSize(budget[key])).map((key) => {
+        return `${key === 'raw' ? 'size' : 'gzip size'} ${formatSize(size.total[key])} exceeds the budget of ${formatSize(parseSize(budget[key]))}`;
+    });
+}
+
+// a self-contained html page showing a size report
+function renderSizeReportHtml (buildId, size) {
+    const percent = bytes => size.total.raw ? `${(100 * bytes / size.total.raw).toFixed(1)}%` : '0%';
+    const table = (title, columns, entries) => [
+        `<h2>${xmlEscape(title)}</h2>`,
+        '<table>',
+        `<tr>${columns.map(column => `<th>${xmlEscape(column.label)}</th>`).join('')}<th>raw</th><th>gzip</th><th></th></tr>`,
+        ...entries.map((entry) => {
+            return [
+                '<tr>',
+                columns.map(column => `<td>${xmlEscape(entry[column.key])}</td>`).join(''),
+                `<td class="size">${formatSize(entry.raw)}</td>`,
+                `<td class="size">${formatSize(entry.gzip)}</td>`,
+                `<td class="bar"><span style="width: ${percent(entry.raw)}"></span>${percent(entry.raw)}</td>`,
+                '</tr>'
+            ].join('');
+        }),
+        '</table>'
+    ];
+
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>size of build ${xmlEscape(buildId)}</title>`,
+        '<style>',
+        'body { font: 14px sans-serif; margin: 2em; }',
+        'table { border-collapse: collapse; }',
+        'th, td { padding: 2px 12px 2px 0; text-align: left; white-space: nowrap; }',
+        'td.size { text-align: right; font-family: monospace; }',
+        'td.bar { width: 300px; position: relative; font-size: 11px; }',
+        'td.bar span { position: absolute; left: 0; top: 3px; bottom: 3px; background: #9cf; z-index: -1; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        `<h1>build ${xmlEscape(buildId)}: ${formatSize(size.total.raw)} (${formatSize(size.total.gzip)} gzip)</h1>`,
+        ...table('libraries', [{label: 'library', key: 'name'}, {label: 'namespaces', key: 'namespaces'}], size.libraries),
+        ...table('namespaces', [{label: 'namespace', key: 'name'}, {label: 'library', key: 'library'}], size.namespaces),
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+/* project templates */
+
+// the test namespace all builtin templates share
+const templateTestFile = [
+    '(ns {{testNamespace}}',
+    '  (:require [cljs.test :refer-macros [deftest is]]',
+    '            [{{namespace}} :as core]))',
+    '',
+    '(deftest greeting-test',
+    '  (is (= "Hello, you!" (core/greeting "you"))))',
+    ''
+].join('\n');
+
+// the builtin templates of `cljsbuild new`, see Config.newProject
+//  - description .. shown in the help
+//  - files .. map of file path -> contents
+//  - cljsbuild .. the cljsbuild config, without dependencies
+//  - scripts .. the npm scripts
+// {{name}} (package name), {{namespace}} (main namespace), {{path}} (its
+// file path without extension) and {{testNamespace}}, {{testPath}} are
+// replaced in paths, contents and config
+const projectTemplates = {
+    browser: {
+        description: 'a web page with live reload (the default)',
+        files: {
+            'src/{{path}}.cljs': [
+                '(ns {{namespace}})',
+                '',
+                '(defn greeting [name]',
+                '  (str "Hello, " name "!"))',
+                '',
+                '(defn main []',
+                '  (set! (.-textContent (.getElementById js/document "app")) (greeting "ClojureScript")))',
+                '',
+                ';; the tests load this namespace in node',
+                '(when (exists? js/document)',
+                '  (main))',
+                ''
+            ].join('\n'),
+            'test/{{testPath}}.cljs': templateTestFile,
+            'index.html': [
+                '<!DOCTYPE html>',
+                '<html>',
+                '  <head>',
+                '    <meta charset="utf-8">',
+                '    <title>{{name}}</title>',
+                '  </head>',
+                '  <body>',
+                '    <div id="app"></div>',
+                '    <script src="out/main.js"></script>',
+                '  </body>',
+                '</html>',
+                ''
+            ].join('\n')
+        },
+        cljsbuild: {
+            main: '{{namespace}}',
+            target: 'out/main.js',
+            assetPath: 'out'
+        },
+        scripts: {
+            build: 'cljsbuild --production',
+            dev: 'cljsbuild serve',
+            test: 'cljsbuild test'
+        }
+    },
+    node: {
+        description: 'a node program',
+        files: {
+            'src/{{path}}.cljs': [
+                '(ns {{namespace}})',
+                '',
+                '(defn greeting [name]',
+                '  (str "Hello, " name "!"))',
+                '',
+                '(defn -main [& args]',
+                '  (println (greeting (or (first args) "ClojureScript"))))',
+                '',
+                '(set! *main-cli-fn* -main)',
+                ''
+            ].join('\n'),
+            'test/{{testPath}}.cljs': templateTestFile,
+            'index.js': [
+                '#!/usr/bin/env node',
+                '',
+                "require('./out/main.js');",
+                ''
+            ].join('\n')
+        },
+        cljsbuild: {
+            builds: {
+                main: {
+                    main: '{{namespace}}',
+                    target: 'out/main.js',
+                    outputDir: 'out',
+                    platform: 'nodejs'
+                }
+            }
+        },
+        scripts: {
+            build: 'cljsbuild --production',
+            dev: 'cljsbuild watch',
+            start: 'node index.js',
+            test: 'cljsbuild test'
+        }
+    },
+    library: {
+        description: 'a library shared as an npm package',
+        files: {
+            'src/{{path}}.cljs': [
+                '(ns {{namespace}})',
+                '',
+                '(defn greeting [name]',
+                '  (str "Hello, " name "!"))',
+                ''
+            ].join('\n'),
+            'test/{{testPath}}.cljs': templateTestFile
+        },
+        cljsbuild: {
+            main: '{{namespace}}',
+            // lets projects depending on the package use its sources
+            src: 'src'
+        },
+        scripts: {
+            build: 'cljsbuild',
+            test: 'cljsbuild test'
+        }
+    }
+};
+
+// read a template directory: template.json holds the cljsbuild config and
+// the npm scripts, all other files are copied
+function readTemplateDirectory (dir) {
+    const templateJson = path.join(dir, 'template.json');
+    let template = {};
+
+    if (fs.existsSync(templateJson)) {
+        try {
+            template = JSON.parse(readFile(templateJson));
+        } catch (e) {
+            throw new ConfigError(`could not read the template ${JSON.stringify(templateJson)}: ${e.message}`);
+        }
+    }
+
+    return {
+        description: template.description,
+        files: lodash.fromPairs(listFiles(dir).filter(file => file !== templateJson).map((file) => {
+            return [path.relative(dir, file).split(path.sep).join('/'), readFile(file)];
+        })),
+        cljsbuild: template.cljsbuild || {},
+        scripts: template.scripts || {}
+    };
+}
+
+// replace the {{variables}} in value, a string or a JSON structure
+function renderTemplate (value, variables) {
+    if (typeof value === 'string') {
+        return value.replace(/\{\{(\w+)\}\}/g, (match, name) => variables.hasOwnProperty(name) ? variables[name] : match);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => renderTemplate(item, variables));
+    }
+
+    if (lodash.isPlainObject(value)) {
+        return lodash.mapValues(value, item => renderTemplate(item, variables));
+    }
+
+    return value;
+}
+
+// the main namespace of a project from the commandline, 'my-app' is short
+// for 'my-app.core'
+function getMainNamespace (namespace) {
+    if (!/^[a-zA-Z][\w-]*(\.[a-zA-Z][\w-]*)*$/.test(namespace || '')) {
+        throw new ConfigError(`invalid namespace ${JSON.stringify(namespace)}, use a name like "my-app.core"`);
+    }
+
+    return namespace.indexOf('.') === -1 ? `${namespace}.core` : namespace;
+}
+
+// the file path of a namespace relative to a source directory, without
+// the extension
+function namespacePath (namespace) {
+    return mungeNamespace(namespace).split('.').join('/');
+}
+
+/* config schema */
+
+// the edit distance of two strings, for "did you mean" suggestions
+function editDistance (a, b) {
+    let previous = lodash.range(b.length + 1);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// the candidate closest to name if it looks like a typo of it, or undefined
+function suggestName (name, candidates) {
+    const distance = candidate => editDistance(name.toLowerCase(), candidate.toLowerCase());
+    const closest = lodash.minBy(candidates, distance);
+
+    return closest !== undefined && distance(closest) <= Math.max(2, Math.floor(name.length / 3)) ? closest : undefined;
+}
+
+function describeValue (value) {
+    const json = JSON.stringify(value) || String(value);
+
+    return json.length > 40 ? `${json.slice(0, 37)}...` : json;
+}
+
+// A schema checks a config value and returns a list of problems like
+// 'cljsbuild.main must be a namespace name, got 1'.
+//  - description .. the values it accepts, e.g. 'a string'
+//  - kind(value) .. whether value has the type of the accepted values, to
+//    pick the schema reporting the problems of an either
+//  - check(value, key) .. the list of problems of value at key
+function schemaType (description, test, kind) {
+    return {
+        description,
+        kind: kind || test,
+        check: (value, key) => test(value) ? [] : [`${key} must be ${description}, got ${describeValue(value)}`]
+    };
+}
+
+function matching (description, regex) {
+    return schemaType(description, v => typeof v === 'string' && regex.test(v), v => typeof v === 'string');
+}
+
+function oneOf (values) {
+    const schema = schemaType(`one of ${values.join(', ')}`, v => values.indexOf(v) !== -1, v => typeof v === typeof values[0]);
+
+    return Object.assign({}, schema, {
+        check: (value, key) => schema.check(value, key).map((problem) => {
+            const suggestion = typeof value === 'string' && suggestName(value, values);
+
+            return suggestion ? `${problem}, did you mean ${suggestion}?` : problem;
+        })
+    });
+}
+
+function integerFrom (min, max) {
+    const description = max === undefined ? `an integer >= ${min}` : `an integer from ${min} to ${max}`;
+
+    return schemaType(description, v => Number.isInteger(v) && v >= min && (max === undefined || v <= max), v => typeof v === 'number');
+}
+
+function listOf (item) {
+    return {
+        description: 'a list',
+        kind: Array.isArray,
+        check: (value, key) => {
+            if (!Array.isArray(value)) {
+                return [`${key} must be a list, got ${describeValue(value)}`];
+            }
+
+            return lodash.flatMap(value, (v, i) => item.check(v, `${key}[${i}]`));
+        }
+    };
+}
+
+// an object with arbitrary keys, optionally checked by keySchema
+function mapOf (valueSchema, keySchema) {
+    return {
+        description: 'an object',
+        kind: lodash.isPlainObject,
+        check: (value, key) => {
+            if (!lodash.isPlainObject(value)) {
+                return [`${key} must be an object, got ${describeValue(value)}`];
+            }
+
+            return lodash.flatMap(Object.keys(value), (name) => {
+                const keyProblems = keySchema ? keySchema.check(name, `key ${JSON.stringify(name)} of ${key}`) : [];
+
+                return keyProblems.concat(valueSchema.check(value[name], `${key}.${name}`));
+            });
+        }
+    };
+}
+
+// an object with the given properties, unknown keys are reported with the
+// closest known key
+function shape (properties, required) {
+    return {
+        description: 'an object',
+        kind: lodash.isPlainObject,
+        check: (value, key) => {
+            if (!lodash.isPlainObject(value)) {
+                return [`${key} must be an object, got ${describeValue(value)}`];
+            }
+
+            const missing = (required || []).filter(name => value[name] === undefined).map(name => `${key}.${name} is required`);
+
+            return missing.concat(lodash.flatMap(Object.keys(value), (name) => {
+                if (!properties.hasOwnProperty(name)) {
+                    const suggestion = suggestName(name, Object.keys(properties));
+
+                    return [`unknown key ${key}.${name}${suggestion ? `, did you mean ${suggestion}?` : ''}`];
+                }
+
+                return properties[name].check(value[name], `${key}.${name}`);
+            }));
+        }
+    };
+}
+
+// a value accepted by any of the schemas, the problems are reported by the
+// first schema for the type of the value
+function either (...schemas) {
+    const description = schemas.map(schema => schema.description).join(' or ');
+
+    return {
+        description,
+        kind: value => schemas.some(schema => schema.kind(value)),
+        check: (value, key) => {
+            const candidates = schemas.filter(schema => schema.kind(value));
+
+            if (!candidates.length) {
+                return [`${key} must be ${description}, got ${describeValue(value)}`];
+            }
+
+            const problems = candidates.map(schema => schema.check(value, key));
+
+            return problems.some(p => !p.length) ? [] : problems[0];
+        }
+    };
+}
+
+const buildPlatforms = ['browser', 'nodejs', 'webworker'];
+
+const hookEvents = ['preBuild', 'postBuild', 'onWatchRebuild', 'onBuildError'];
+
+// the schema of the cljsbuild key in package.json, see Config._getDefaults
+function getConfigSchema () {
+    const aString = schemaType('a non-empty string', v => typeof v === 'string' && v.length > 0, v => typeof v === 'string');
+    const anObject = mapOf(schemaType('any value', () => true));
+    const aNull = schemaType('null', v => v === null);
+    const aPort = integerFrom(0, 65535);
+    const aNamespace = matching('a namespace name like "my-app.core"', /^[^\s\/0-9][^\s\/]*$/);
+    const aDependencyName = matching('a maven coordinate like "group/artifact" or "artifact"', /^[\w.-]+(\/[\w.-]+)?$/);
+    const aVersion = matching('a version without whitespace', /^\S+$/);
+    const aDependency = either(aVersion, shape({
+        version: aVersion,
+        exclusions: listOf(aDependencyName),
+        classifier: aString,
+        scope: oneOf(['compile', 'provided', 'runtime', 'test', 'system'])
+    }, ['version']));
+    const aSearchType = oneOf(Object.keys(artifactSearches));
+    const anUpdatePolicy = oneOf(['pin', 'patch', 'minor', 'major', 'allow-prerelease']);
+    const aJsName = matching('a js module name like "react" or "react-dom/server"', ednSymbolRegex);
+    const aNpmDependency = either(schemaType('true', v => v === true), shape({
+        bundle: aString,
+        bundleMin: aString,
+        global: matching('a javascript identifier like "React"', /^[A-Za-z_$][\w$]*$/),
+        provides: listOf(aJsName),
+        requires: listOf(aJsName)
+    }, ['bundle', 'global']));
+    const aSize = either(integerFrom(1), matching('a size like "150kB"', sizeRegex));
+    const aHook = either(aString, shape({command: aString}, ['command']), shape({module: aString}, ['module']));
+
+    return shape({
+        fakeProjectFile: aString,
+        tempdir: aString,
+        target: aString,
+        assetPath: aString,
+        src: either(aString, listOf(aString)),
+        main: aNamespace,
+        replPort: aPort,
+        replHost: aString,
+        nreplMiddleware: listOf(matching('a namespace qualified var like "my.ns/wrap-thing"', /^[^\s\/]+\/[^\s\/]+$/)),
+        replEnv: either(aNull, oneOf(Object.keys(replEnvs))),
+        browserReplHost: aString,
+        browserReplPort: aPort,
+        weaselHost: aString,
+        weaselPort: aPort,
+        dependencies: mapOf(aDependency, aDependencyName),
+        npmDeps: mapOf(aNpmDependency),
+        profiles: mapOf(anObject),
+        builds: mapOf(shape({
+            main: aNamespace,
+            target: aString,
+            outputDir: aString,
+            assetPath: aString,
+            platform: oneOf(buildPlatforms),
+            src: either(aString, listOf(aString)),
+            options: anObject
+        }, ['main'])),
+        compilerOptions: anObject,
+        dependenciesFrom: aString,
+        repositories: mapOf(either(aNull, aString, shape({
+            url: aString,
+            usernameEnv: aString,
+            passwordEnv: aString
+        }, ['url']))),
+        search: either(aSearchType, listOf(either(aSearchType, shape({
+            type: aSearchType,
+            url: aString,
+            repository: aString,
+            usernameEnv: aString,
+            passwordEnv: aString,
+            timeout: integerFrom(1),
+            retries: integerFrom(0)
+        }, ['type'])))),
+        httpTimeout: integerFrom(1),
+        httpRetries: integerFrom(0),
+        updatePolicies: mapOf(either(anUpdatePolicy, listOf(anUpdatePolicy))),
+        advisories: aString,
+        lockfile: aString,
+        watchPaths: listOf(aString),
+        watchDebounce: integerFrom(0),
+        testSrc: aString,
+        serveRoot: aString,
+        servePort: aPort,
+        serveHost: aString,
+        serveFallback: either(aNull, aString),
+        budgets: mapOf(shape({raw: aSize, gzip: aSize})),
+        hooks: shape(lodash.fromPairs(hookEvents.map(event => [event, either(aHook, listOf(aHook))])))
+    });
+}
+
+// the config keys each command requires, each entry lists alternatives
+const requiredConfigKeys = {
+    build: [['main', 'builds'], ['dependencies', 'dependenciesFrom']],
+    watch: [['main', 'builds'], ['dependencies', 'dependenciesFrom']],
+    serve: [['main', 'builds'], ['dependencies', 'dependenciesFrom']],
+    test: [['main', 'builds'], ['dependencies', 'dependenciesFrom']],
+    repl: [['main', 'builds'], ['dependencies', 'dependenciesFrom']],
+    nrepl: [['main', 'builds'], ['dependencies', 'dependenciesFrom']],
+    server: [['dependencies', 'dependenciesFrom']],
+    install: [['dependencies', 'dependenciesFrom']],
+    lock: [['dependencies', 'dependenciesFrom']],
+    deps: [['dependencies', 'dependenciesFrom']],
+    outdated: [['dependencies', 'dependenciesFrom']],
+    audit: [['dependencies', 'dependenciesFrom']],
+    update: [['dependencies']]
+};
+
+// commands compiling the sources of the builds
+const compilingCommands = ['build', 'watch', 'serve', 'test', 'repl', 'nrepl'];
+
+/* services */
+
+/**
+ * Access build options defined in ./package.json
+ *
+ * params:
+ *  - projectDir .. the project directory, relative paths in the config are
+ *    relative to it, defaults to the current directory
+ *  - config .. use this cljsbuild config instead of the one in package.json
+ */
+class Config {
+
+    constructor (params) {
+        const opts = params || {};
+
+        this._projectDir = path.resolve(opts.projectDir || '.');
+        this._explicitConfig = opts.config || null;
+        this._ownConfig = null;
+        this._cljsbuild = null;
+        this._dependenciesFile = null;
+        this._sourcePackages = null;
+        this._mergedDependencies = null;
+    }
+
+    getProjectDir () {
+        return this._projectDir;
+    }
+
+    // resolve a path relative to the project directory
+    resolvePath (...paths) {
+        return path.resolve(this._projectDir, ...paths);
+    }
+
+    _getDefaults () {
+        return {
+            fakeProjectFile: 'project.clj',
+            tempdir: '.cljsbuild',
+            target: 'out/main.js',
+            assetPath: '.',
+            src: 'src',
+            main: undefined,
+            replPort: 7888,
+            replHost: 'localhost',
+            nreplMiddleware: [],
+            replEnv: null,
+            browserReplHost: 'localhost',
+            browserReplPort: 9000,
+            weaselHost: '0.0.0.0',
+            weaselPort: 9001,
+            dependencies: undefined,
+            npmDeps: {},
+            profiles: undefined,
+            builds: undefined,
+            compilerOptions: {},
+            dependenciesFrom: undefined,
+            repositories: undefined,
+            search: ['maven-central', 'clojars'],
+            httpTimeout: 10000,
+            httpRetries: 2,
+            updatePolicies: {},
+            advisories: undefined,
+            lockfile: 'cljsbuild.lock',
+            watchPaths: [],
+            watchDebounce: 100,
+            testSrc: 'test',
+            serveRoot: '.',
+            servePort: 8080,
+            serveHost: 'localhost',
+            serveFallback: 'index.html',
+            budgets: {},
+            hooks: {}
+        };
+    }
+
+    // compiler options used when a profile is not (fully) defined in
+    // package.json
+    _getDefaultProfiles () {
+        return {
+            dev: {
+                optimizations: 'none',
+                sourceMap: true,
+                prettyPrint: true
+            },
+            production: {
+                optimizations: 'advanced',
+                sourceMap: false,
+                prettyPrint: false,
+                closureDefines: {'goog.DEBUG': false}
+            }
+        };
+    }
+
+    _loadPackageJson () {
+        let contents;
+
+        try {
+            contents = fs.readFileSync(this.resolvePath('package.json'));
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                throw new ConfigError('package.json does not exist');
+            }
+
+            throw e;
+        }
+
+        return JSON.parse(contents);
+    }
+
+    // where the config comes from, 'package.json' or 'config' when it was
+    // passed explicitly
+    _getConfigSource () {
+        return this._explicitConfig ? 'config' : 'package.json';
+    }
+
+    // throw a ConfigError listing the problems, if any
+    _throwProblems (problems) {
+        if (problems.length) {
+            throw new ConfigError(`invalid cljsbuild config in ${this._getConfigSource()}:\n${problems.map(p => `  - ${p}`).join('\n')}`, {problems});
+        }
+    }
+
+    _loadConfig () {
+        if (this._cljsbuild) {
+            return;
+        }
+
+        const data = this._explicitConfig ? {cljsbuild: this._explicitConfig} : this._loadPackageJson();
+
+        if (!data.hasOwnProperty('cljsbuild')) {
+            warn('no "cljsbuild" key found in package.json');
+        }
+
+        const own = data.cljsbuild || {};
+
+        this._throwProblems(getConfigSchema().check(own, 'cljsbuild'));
+        this._ownConfig = own;
+        this._cljsbuild = Object.assign({}, this._getDefaults(), own);
+    }
+
+    /**
+     * Check that the config has the keys command (e.g. 'build' or
+     * 'install') needs and that the source directories of the compiling
+     * commands exist.
+     *
+     * Throw a ConfigError listing the problems otherwise, the config itself
+     * is checked against the schema when it is loaded.
+     */
+    validate (command) {
+        this._loadConfig();
+
+        const problems = (requiredConfigKeys[command] || []).filter((keys) => {
+            return keys.every(key => this._cljsbuild[key] === undefined);
+        }).map(keys => `${keys.map(key => `cljsbuild.${key}`).join(' or ')} is required by ${command}`);
+
+        if (!problems.length && compilingCommands.indexOf(command) !== -1) {
+            const directories = lodash.uniqWith(lodash.flatMap(this.getBuilds(), (build) => {
+                return build.src.map(dir => ({key: `source directory of build ${build.id}`, dir}));
+            }), (a, b) => a.dir === b.dir);
+
+            if (command === 'test') {
+                directories.push({key: 'cljsbuild.testSrc', dir: this.getConfig('testSrc')});
+            }
+
+            directories.forEach(({key, dir}) => {
+                if (!fs.existsSync(this.resolvePath(dir))) {
+                    problems.push(`${key} ${JSON.stringify(dir)} does not exist`);
+                }
+            });
+
+            const buildIds = this.getBuilds().map(build => build.id);
+
+            Object.keys(this.getConfig('budgets')).filter(id => buildIds.indexOf(id) === -1).forEach((id) => {
+                const suggestion = suggestName(id, buildIds);
+
+                problems.push(`cljsbuild.budgets.${id} is not a build${suggestion ? `, did you mean ${suggestion}?` : ''}`);
+            });
+        }
+
+        this._throwProblems(problems);
+    }
+
+    /**
+     * Return the effective config: the values from package.json merged over
+     * the defaults, the builtin profiles and the dependencies from
+     * cljsbuild.dependenciesFrom.
+     *
+     * Returns a list of {key, value, source} with a dotted key for each
+     * value and its source, 'default', 'package.json' (or 'config' for an
+     * explicit config), the dependenciesFrom file or an npm package.
+     */
+    getEffectiveConfig () {
+        this._loadConfig();
+
+        const own = this._ownConfig;
+        const source = this._getConfigSource();
+        const result = [];
+
+        // one entry per leaf, tagged edn values like {"#keyword": "x"}
+        // are leafs too
+        const add = (key, value, valueSource) => {
+            const isNested = lodash.isPlainObject(value) && !lodash.isEmpty(value) && !Object.keys(value).some(k => k.startsWith('#'));
+
+            if (isNested) {
+                Object.keys(value).forEach(k => add(`${key}.${k}`, value[k], valueSource));
+            } else if (value !== undefined) {
+                result.push({key, value, source: valueSource});
+            }
+        };
+
+        Object.keys(this._getDefaults()).forEach((key) => {
+            if (key === 'profiles') {
+                const ownProfiles = own.profiles || {};
+
+                lodash.union(Object.keys(this._getDefaultProfiles()), Object.keys(ownProfiles)).forEach((name) => {
+                    lodash.forEach(this.getProfile(name), (value, option) => {
+                        add(`profiles.${name}.${option}`, value, (ownProfiles[name] || {}).hasOwnProperty(option) ? source : 'default');
+                    });
+                });
+            } else if (key === 'dependencies' && (own.dependenciesFrom || this.getSourcePackages().length)) {
+                const {dependencies, origins} = this._mergeDependencies();
+
+                lodash.forEach(dependencies, (value, name) => add(`dependencies.${name}`, value, origins[name]));
+            } else {
+                add(key, this._cljsbuild[key], own.hasOwnProperty(key) ? source : 'default');
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Print the effective config (see getEffectiveConfig).
+     *
+     * options:
+     *  - json .. print it as JSON, an object of key -> {value, source}
+     */
+    printConfig (options) {
+        const config = this.getEffectiveConfig();
+
+        if ((options || {}).json) {
+            printJson(lodash.fromPairs(config.map(entry => [entry.key, lodash.pick(entry, 'value', 'source')])), 2);
+        } else {
+            log(asTable([['key', 'value', 'source'], ...config.map(entry => [entry.key, JSON.stringify(entry.value), entry.source])]));
+        }
+    }
+
+    _updatePackageJson (address, value) {
+        if (this._explicitConfig) {
+            throw new ConfigError('cannot update package.json, the config was passed explicitly');
+        }
+
+        const path = address.slice(0,-1);
+        const property = address.slice(-1)[0];
+
+        const packageJson = this._loadPackageJson();
+
+        let pointer = packageJson;
+
+        path.forEach((key) => {
+            if (pointer[key] === undefined) {
+                pointer[key] = {};
+            }
+
+            pointer = pointer[key];
+        });
+
+        pointer[property] = value;
+
+        fs.writeFileSync(this.resolvePath('package.json'), JSON.stringify(packageJson, null, 2));
+
+        this._reloadConfig();
+    }
+
+    // load (and check) the config again after package.json has changed
+    _reloadConfig () {
+        this._cljsbuild = null;
+        this._ownConfig = null;
+        this._dependenciesFile = null;
+        this._mergedDependencies = null;
+        this._loadConfig();
+    }
+
+    /**
+     * Return a property from cljsbuild package.json entry.
+     *
+     * Throw a ConfigError if the key does not exist.
+     */
+    getConfig (key) {
+        this._loadConfig();
+
+        const value = this._cljsbuild[key];
+
+        if (value === undefined) {
+            throw new ConfigError(`undefined package.json value: cljsbuild.${key}`);
+        }
+
+        return value;
+    }
+
+    // read maven dependencies and source paths from a deps.edn
+    _readDepsEdn (form) {
+        const dependencies = {};
+        const deps = ednMapGet(form, ednKeyword('deps'));
+
+        ((deps || {})['#map'] || []).forEach((entry) => {
+            const name = ednName(entry[0]);
+            const version = ednMapGet(entry[1], ednKeyword('mvn/version'));
+            const exclusions = ednMapGet(entry[1], ednKeyword('exclusions'));
+
+            if (typeof version === 'string') {
+                dependencies[name] = denormalizeDependency({
+                    version,
+                    exclusions: exclusions && exclusions.map(ednName)
+                });
+            } else {
+                warn(`ignoring non-maven dependency ${name} in deps.edn`);
+            }
+        });
+
+        return {
+            dependencies,
+            paths: (ednMapGet(form, ednKeyword('paths')) || []).filter(p => typeof p === 'string')
+        };
+    }
+
+    // read maven dependencies and source paths from a leiningen project.clj
+    _readProjectClj (forms) {
+        const defproject = forms.find((form) => {
+            return ednName(((form || {})['#list'] || [])[0]) === 'defproject';
+        });
+
+        if (!defproject) {
+            throw new Error('no defproject form found');
+        }
+
+        // (defproject name version & {:as options})
+        const options = lodash.fromPairs(lodash.chunk(defproject['#list'].slice(3), 2).map((kv) => {
+            return [ednName(kv[0]), kv[1]];
+        }));
+        const dependencies = {};
+
+        (options.dependencies || []).forEach((dependency) => {
+            const name = ednName(dependency[0]);
+            const version = dependency[1];
+            // [name version & {:keys [exclusions classifier scope]}]
+            const dependencyOptions = lodash.fromPairs(lodash.chunk(dependency.slice(2), 2).map((kv) => {
+                return [ednName(kv[0]), kv[1]];
+            }));
+            const exclusions = dependencyOptions.exclusions;
+
+            if (typeof version === 'string') {
+                dependencies[name] = denormalizeDependency({
+                    version,
+                    // exclusions are either names or [name & options] vectors
+                    exclusions: exclusions && exclusions.map(e => ednName(Array.isArray(e) ? e[0] : e)),
+                    classifier: dependencyOptions.classifier,
+                    scope: dependencyOptions.scope
+                });
+            } else {
+                warn(`ignoring dependency ${name} without a literal version in project.clj`);
+            }
+        });
+
+        return {
+            dependencies,
+            paths: (options['source-paths'] || []).filter(p => typeof p === 'string')
+        };
+    }
+
+    // read the deps.edn or project.clj file named in cljsbuild.dependenciesFrom
+    _loadDependenciesFile () {
+        this._loadConfig();
+
+        const fileName = this._cljsbuild.dependenciesFrom;
+
+        if (!fileName) {
+            return {dependencies: {}, paths: []};
+        }
+
+        if (this._dependenciesFile) {
+            return this._dependenciesFile;
+        }
+
+        if (!fs.existsSync(this.resolvePath(fileName))) {
+            throw new ConfigError(`cljsbuild.dependenciesFrom file ${JSON.stringify(fileName)} does not exist`);
+        }
+
+        try {
+            const forms = readEdn(readFile(this.resolvePath(fileName)));
+
+            if (path.extname(fileName) === '.edn') {
+                this._dependenciesFile = this._readDepsEdn(forms[0]);
+            } else {
+                this._dependenciesFile = this._readProjectClj(forms);
+            }
+        } catch (e) {
+            throw new ConfigError(`could not read dependencies from ${JSON.stringify(fileName)}: ${e.message}`);
+        }
+
+        return this._dependenciesFile;
+    }
+
+    // the npm package in dir if it ships cljs sources, or null
+    _readSourcePackage (dir) {
+        let packageJson;
+
+        try {
+            packageJson = JSON.parse(fs.readFileSync(path.join(dir, 'package.json')));
+        } catch (e) {
+            return null;
+        }
+
+        const name = packageJson.name || path.basename(dir);
+        const cljsbuild = lodash.pick(packageJson.cljsbuild || {}, 'src', 'dependencies');
+
+        if (cljsbuild.src === undefined) {
+            return null;
+        }
+
+        const problems = getConfigSchema().check(cljsbuild, 'cljsbuild');
+
+        if (problems.length) {
+            throw new ConfigError(`invalid cljsbuild config in the npm package ${name}:\n${problems.map(p => `  - ${p}`).join('\n')}`, {problems});
+        }
+
+        return {
+            name,
+            dir: path.relative(this._projectDir, dir),
+            src: [].concat(cljsbuild.src).map(src => path.relative(this._projectDir, path.resolve(dir, src))),
+            dependencies: cljsbuild.dependencies || {}
+        };
+    }
+
+    /**
+     * Return the npm packages in node_modules that ship cljs sources, as a
+     * list of {name, dir, src, dependencies}.
+     *
+     * A package declares its source and resource paths (relative to the
+     * package) in cljsbuild.src of its package.json and its maven
+     * dependencies in cljsbuild.dependencies. A deps.cljs in a source path
+     * declares its foreign libs like in a jar.
+     */
+    getSourcePackages () {
+        if (this._sourcePackages) {
+            return this._sourcePackages;
+        }
+
+        const nodeModules = this.resolvePath('node_modules');
+        const readDir = (dir) => {
+            try {
+                return fs.readdirSync(dir).filter(name => !name.startsWith('.')).map(name => path.join(dir, name));
+            } catch (e) {
+                return [];
+            }
+        };
+        // scoped packages live in node_modules/@scope/name
+        const dirs = lodash.flatMap(readDir(nodeModules), dir => path.basename(dir).startsWith('@') ? readDir(dir) : [dir]);
+
+        this._sourcePackages = dirs.map(dir => this._readSourcePackage(dir)).filter(Boolean);
+        this._sourcePackages.forEach(p => debug(`using the cljs sources of the npm package ${p.name}: ${p.src.join(', ')}`));
+
+        return this._sourcePackages;
+    }
+
+    /**
+     * Return the npm packages passed to the compiler, as a list of {name,
+     * version, dir, bundle, bundleMin, global, provides, requires}.
+     *
+     * cljsbuild.npmDeps maps the names of installed npm packages to true,
+     * to let the compiler process the package in node_modules (:npm-deps),
+     * or to a prebuilt UMD bundle used as a foreign lib:
+     *  - bundle .. path of the bundle in the package
+     *  - bundleMin .. path of the minified bundle for optimized builds
+     *  - global .. name of the global variable defined by the bundle
+     *  - provides .. names to require the bundle by, defaults to the
+     *    package name
+     *  - requires .. names of the foreign libs the bundle depends on
+     *
+     * Throw a ConfigError if a package or bundle is not installed.
+     */
+    getNpmDeps () {
+        return lodash.map(this.getConfig('npmDeps'), (spec, name) => {
+            const dir = path.join('node_modules', name);
+            let packageJson;
+
+            try {
+                packageJson = JSON.parse(fs.readFileSync(this.resolvePath(dir, 'package.json')));
+            } catch (e) {
+                throw new ConfigError(`the npm package ${name} from cljsbuild.npmDeps is not installed, run "npm install ${name}"`);
+            }
+
+            const dependency = Object.assign({name, version: packageJson.version, dir, provides: [name], requires: []}, spec === true ? {} : spec);
+
+            dependency.provides.forEach((provide) => {
+                if (!ednSymbolRegex.test(provide)) {
+                    throw new ConfigError(`cljsbuild.npmDeps.${name}.provides must list the names to require the bundle by, ${JSON.stringify(provide)} is not a valid name`);
+                }
+            });
+
+            [dependency.bundle, dependency.bundleMin].filter(Boolean).forEach((file) => {
+                if (!fs.existsSync(this.resolvePath(dir, file))) {
+                    throw new ConfigError(`the bundle ${JSON.stringify(file)} of cljsbuild.npmDeps.${name} does not exist in ${dir}`);
+                }
+            });
+
+            return dependency;
+        });
+    }
+
+    // cljsbuild.dependencies merged with the dependencies from
+    // cljsbuild.dependenciesFrom and the npm source packages, returns
+    // {dependencies, origins} with the origin of each dependency
+    _mergeDependencies () {
+        this._loadConfig();
+
+        if (this._mergedDependencies) {
+            return this._mergedDependencies;
+        }
+
+        const fileName = this._cljsbuild.dependenciesFrom;
+        const own = this._cljsbuild.dependencies || {};
+        const imports = (fileName ? [{origin: fileName, dependencies: this._loadDependenciesFile().dependencies}] : []).concat(
+            this.getSourcePackages().map(p => ({origin: `npm package ${p.name}`, dependencies: p.dependencies}))
+        );
+        const dependencies = Object.assign({}, own);
+        const origins = lodash.mapValues(own, () => this._getConfigSource());
+        // the name of each dependency by its groupId/artifactId
+        const names = lodash.keyBy(Object.keys(own), dependencyCoordinate);
+
+        imports.forEach(({origin, dependencies: imported}) => {
+            Object.keys(imported).forEach((name) => {
+                const existingName = names[dependencyCoordinate(name)];
+
+                if (existingName === undefined) {
+                    dependencies[name] = imported[name];
+                    origins[name] = origin;
+                    names[dependencyCoordinate(name)] = name;
+
+                    return;
+                }
+
+                const existingVersion = normalizeDependency(dependencies[existingName]).version;
+                const importedVersion = normalizeDependency(imported[name]).version;
+
+                if (existingVersion !== importedVersion) {
+                    warn(`conflicting versions for ${existingName}: ${existingVersion} in ${origins[existingName]}, ${importedVersion} in ${origin}, using ${existingVersion}`);
+                }
+            });
+        });
+
+        this._mergedDependencies = {dependencies, origins};
+
+        return this._mergedDependencies;
+    }
+
+    /**
+     * Return the maven dependencies of the project.
+     *
+     * Merges cljsbuild.dependencies with the ones from the deps.edn or
+     * project.clj named in cljsbuild.dependenciesFrom and the ones of the
+     * npm packages shipping cljs sources. Conflicting versions are reported,
+     * the version from package.json wins, then the one from the
+     * dependenciesFrom file.
+     */
+    getDependencies () {
+        this._loadConfig();
+
+        if (!this._cljsbuild.dependenciesFrom && !this.getSourcePackages().some(p => !lodash.isEmpty(p.dependencies))) {
+            return this.getConfig('dependencies');
+        }
+
+        return this._mergeDependencies().dependencies;
+    }
+
+    /**
+     * Return the maven repositories as a map of id -> {url, usernameEnv,
+     * passwordEnv}.
+     *
+     * cljsbuild.repositories is merged over the default clojars repository,
+     * set an id to null to remove it. Urls without a scheme are local
+     * directories.
+     */
+    getRepositories () {
+        this._loadConfig();
+
+        const repositories = Object.assign({
+            clojars: 'https://repo.clojars.org/'
+        }, this._cljsbuild.repositories);
+        const result = {};
+
+        Object.keys(repositories).forEach((id) => {
+            if (repositories[id] === null) {
+                return;
+            }
+
+            const repository = typeof repositories[id] === 'string' ? {url: repositories[id]} : Object.assign({}, repositories[id]);
+
+            if (!repository.url) {
+                throw new ConfigError(`undefined package.json value: cljsbuild.repositories.${id}.url`);
+            }
+
+            if (!/^[a-z]+:/.test(repository.url)) {
+                repository.url = url.pathToFileURL(this.resolvePath(repository.url)).href;
+            }
+
+            result[id] = repository;
+        });
+
+        return result;
+    }
+
+    /**
+     * Return the endpoints searched for the latest versions of artifacts, as
+     * a list of {type, url, auth, timeout, retries}.
+     *
+     * cljsbuild.search lists endpoint types or objects with a type and an url
+     * (see artifactSearches), a maven-metadata endpoint can name one of the
+     * repositories instead of an url.
+     *
+     * options:
+     *  - offline .. only search the local maven repository
+     */
+    getSearchEndpoints (options) {
+        const search = options && options.offline ? ['local'] : this.getConfig('search');
+        const repositories = this.getRepositories();
+
+        return [].concat(search).map((spec, i) => {
+            const endpoint = typeof spec === 'string' ? {type: spec} : Object.assign({}, spec);
+            const key = `cljsbuild.search[${i}]`;
+
+            if (!artifactSearches[endpoint.type]) {
+                throw new ConfigError(`unknown search type in ${key}: ${JSON.stringify(endpoint.type)}, available types: ${Object.keys(artifactSearches).join(', ')}`);
+            }
+
+            if (endpoint.repository) {
+                const repository = repositories[endpoint.repository];
+
+                if (!repository) {
+                    throw new ConfigError(`undefined repository in ${key}: ${JSON.stringify(endpoint.repository)}`);
+                }
+
+                endpoint.url = endpoint.url || repository.url;
+                endpoint.usernameEnv = endpoint.usernameEnv || repository.usernameEnv;
+                endpoint.passwordEnv = endpoint.passwordEnv || repository.passwordEnv;
+            }
+
+            endpoint.url = endpoint.url || artifactSearches[endpoint.type].defaultUrl;
+
+            if (!endpoint.url) {
+                throw new ConfigError(`undefined package.json value: ${key}.url`);
+            }
+
+            if (!/^[a-z]+:/.test(endpoint.url)) {
+                endpoint.url = url.pathToFileURL(this.resolvePath(endpoint.url)).href;
+            }
+
+            if (process.env[endpoint.usernameEnv]) {
+                endpoint.auth = `${process.env[endpoint.usernameEnv] || ''}:${process.env[endpoint.passwordEnv] || ''}`;
+            }
+
+            endpoint.timeout = endpoint.timeout || this.getConfig('httpTimeout');
+            endpoint.retries = endpoint.retries === undefined ? this.getConfig('httpRetries') : endpoint.retries;
+
+            return endpoint;
+        });
+    }
+
+    /**
+     * Return the source paths from the deps.edn or project.clj named in
+     * cljsbuild.dependenciesFrom and of the npm packages shipping cljs
+     * sources.
+     */
+    getImportedSourcePaths () {
+        return this._loadDependenciesFile().paths.concat(lodash.flatMap(this.getSourcePackages(), p => p.src));
+    }
+
+    /**
+     * Return the compiler options of the named build profile.
+     *
+     * Profiles from package.json cljsbuild.profiles are merged over the
+     * builtin dev and production profiles.
+     * Throw a ConfigError if the profile does not exist.
+     */
+    getProfile (name) {
+        this._loadConfig();
+
+        const defaults = this._getDefaultProfiles();
+        const profiles = this._cljsbuild.profiles || {};
+        const profile = Object.assign({}, defaults[name], profiles[name]);
+
+        if (!defaults.hasOwnProperty(name) && !profiles.hasOwnProperty(name)) {
+            throw new ConfigError(`undefined build profile: ${JSON.stringify(name)}, available profiles: ${lodash.union(Object.keys(defaults), Object.keys(profiles)).join(', ')}`);
+        }
+
+        return profile;
+    }
+
+    /**
+     * Return the build definitions for the given build ids, or all builds
+     * when ids is empty.
+     *
+     * Builds are defined in package.json cljsbuild.builds. Without it, the
+     * toplevel main, target, assetPath and src keys define a single build
+     * named 'main'.
+     * Throw a ConfigError if a build does not exist.
+     */
+    getBuilds (ids) {
+        this._loadConfig();
+
+        const builds = this._cljsbuild.builds || {
+            main: {
+                main: this.getConfig('main'),
+                target: this.getConfig('target'),
+                outputDir: path.dirname(this.getConfig('target')),
+                assetPath: this.getConfig('assetPath')
+            }
+        };
+        const buildIds = Object.keys(builds);
+
+        const normalized = buildIds.map((id) => {
+            const build = builds[id];
+            const target = build.target || path.join(path.dirname(this.getConfig('target')), `${id}.js`);
+            const outputDir = build.outputDir || path.join(path.dirname(target), id);
+            const platform = build.platform || buildPlatforms[0];
+
+            return {
+                id,
+                main: build.main,
+                target,
+                outputDir,
+                // by default, load the compiled files relative to the target
+                assetPath: build.assetPath || path.relative(path.dirname(target), outputDir) || '.',
+                platform,
+                src: [].concat(build.src || this.getConfig('src')),
+                options: build.options || {}
+            };
+        });
+
+        // builds sharing an output dir would overwrite each others files
+        lodash.forEach(lodash.groupBy(normalized, b => path.resolve(b.outputDir)), (group) => {
+            if (group.length > 1) {
+                throw new ConfigError(`builds ${group.map(b => b.id).join(', ')} must not share the output directory ${JSON.stringify(group[0].outputDir)}`);
+            }
+        });
+
+        (ids || []).forEach((id) => {
+            if (buildIds.indexOf(id) === -1) {
+                throw new ConfigError(`undefined build: ${JSON.stringify(id)}, available builds: ${buildIds.join(', ')}`);
+            }
+        });
+
+        if (!ids || !ids.length) {
+            return normalized;
+        }
+
+        return normalized.filter(b => ids.indexOf(b.id) !== -1);
+    }
+
+    // find the versions of each package in packages
+    // returns a promise resolving to a map of name -> versions, newest first
+    _findPackageVersions (packages, options) {
+        const endpoints = this.getSearchEndpoints({offline: options.offline});
+
+        return Promise.all(packages.map((name) => {
+            const {groupId, artifactId} = parseDependencyName(name);
+
+            return findVersions(endpoints, groupId, artifactId).then((versions) => {
+                if (!versions.length) {
+                    warn(`no version found for package ${JSON.stringify(name)}`);
+                }
+
+                return {[name]: versions};
+            });
+        })).then(versions => Object.assign({}, ...versions));
+    }
+
+    /**
+     * Return the update policy of a dependency as {level, allowPrerelease}.
+     *
+     * cljsbuild.updatePolicies maps dependency names, or "*" for all other
+     * dependencies, to a policy or a list of policies: one of the levels
+     * pin, patch, minor and major (the default) and allow-prerelease.
+     */
+    getUpdatePolicy (name) {
+        const updatePolicies = this.getConfig('updatePolicies');
+        const spec = updatePolicies.hasOwnProperty(name) ? updatePolicies[name] : updatePolicies['*'];
+        const policies = [].concat(spec || []);
+        const levels = ['pin', 'patch', 'minor', 'major'];
+
+        return {
+            level: policies.find(policy => levels.indexOf(policy) !== -1) || 'major',
+            allowPrerelease: policies.indexOf('allow-prerelease') !== -1
+        };
+    }
+
+    // find the latest versions of the dependencies of a new project
+    // returns a promise of the dependencies, rejecting with a
+    // DependencyError when clojure or clojurescript are not found
+    _findDefaultDependencies (options) {
+        const requiredPackages = ['org.clojure/clojure', 'org.clojure/clojurescript'];
+        const defaultPackages = [];
+
+        // base clojurescript
+        defaultPackages.push(...requiredPackages);
+
+        // nrepl
+        defaultPackages.push(
+            'org.clojure/tools.nrepl',
+            'com.cemerick/piggieback',
+            'weasel'
+        );
+
+        // emacs cider
+        if (options.cider) {
+            defaultPackages.push(
+                'cider/cider-nrepl',
+                'refactor-nrepl'
+            );
+        }
+
+        return this._findPackageVersions(defaultPackages, options).then((versions) => {
+            const dependencies = {};
+
+            defaultPackages.forEach((name) => {
+                const version = versions[name].find(v => !options.releasesOnly || !isPrereleaseVersion(v));
+
+                if (version) {
+                    dependencies[name] = version;
+                }
+            });
+
+            const missing = requiredPackages.filter(name => !dependencies[name]);
+
+            if (missing.length) {
+                throw new DependencyError(`no version found for ${missing.join(' and ')}${options.offline ? ' in the local maven repository' : ''}, without them the project cannot be built`);
+            }
+
+            return dependencies;
+        });
+    }
+
+    // the main namespace derived from the package name, e.g. my-app.core
+    _getDefaultNamespace (packageName) {
+        const name = (packageName || path.basename(this._projectDir)).replace(/^@[^/]*\//, '').toLowerCase();
+
+        return getMainNamespace(name.replace(/[^a-z0-9-]+/g, '-').replace(/^[^a-z]+/, '') || 'app');
+    }
+
+    /**
+     * Write an initial cljsbuild config into package.json.
+     *
+     * options:
+     *  - namespace .. the main namespace, defaults to cljsbuild.main or
+     *    '<package name>.core'
+     *  - releasesOnly .. do not use alpha, beta, rc versions
+     *  - cider .. add cider/nrepl && refactor-nrepl
+     *  - dryRun .. only show what would have be written into package.json
+     *  - offline .. find the versions in the local maven repository only
+     *
+     * Returns a promise.
+     */
+    initConfig (options) {
+        const data = this._loadPackageJson();
+        const cljsbuild = data.cljsbuild || {};
+
+        if (cljsbuild.dependencies) {
+            throw new ConfigError('package.json cljsbuild.dependencies does already exist');
+        }
+
+        const main = options.namespace ? getMainNamespace(options.namespace) : cljsbuild.main || this._getDefaultNamespace(data.name);
+
+        return this._findDefaultDependencies(options).then((dependencies) => {
+            const packageJsonCljsbuild = Object.assign({}, cljsbuild, {main, dependencies});
+
             if (options.dryRun) {
                 log('cljsbuild config data:', '\n'+JSON.stringify(packageJsonCljsbuild, null, 2));
             } else {
-                log('writing cljsbuild section to package.json');
-                this._updatePackageJson(['cljsbuild'], packageJsonCljsbuild);
-                log('done');
+                log('writing cljsbuild section to package.json');
+                this._updatePackageJson(['cljsbuild'], packageJsonCljsbuild);
+                log('done');
+            }
+        });
+    }
+
+    // the builtin template name or a template directory
+    _getTemplate (name) {
+        if (projectTemplates.hasOwnProperty(name)) {
+            return projectTemplates[name];
+        }
+
+        if (!isDirectory(this.resolvePath(name))) {
+            throw new ConfigError(`unknown template ${JSON.stringify(name)}, use one of ${Object.keys(projectTemplates).join(', ')} or a template directory`);
+        }
+
+        return readTemplateDirectory(this.resolvePath(name));
+    }
+
+    // append the entries missing in .gitignore
+    _addToGitignore (entries) {
+        const gitignore = this.resolvePath('.gitignore');
+        const contents = readFile(gitignore);
+        const lines = contents.split('\n').map(line => line.trim().replace(/\/$/, ''));
+        const missing = entries.filter(entry => lines.indexOf(entry.replace(/\/$/, '')) === -1);
+
+        if (missing.length) {
+            fs.writeFileSync(gitignore, contents + (contents && !contents.endsWith('\n') ? '\n' : '') + missing.join('\n') + '\n');
+        }
+    }
+
+    /**
+     * Create a new project from a template in the project directory.
+     *
+     * Writes the main and test namespaces and the other files of the
+     * template, adds the cljsbuild config with the latest dependencies and
+     * the npm scripts to package.json (creating it if necessary) and the
+     * generated files to .gitignore. Existing files and npm scripts are not
+     * overwritten.
+     *
+     * options:
+     *  - namespace .. the main namespace, 'my-app' is short for 'my-app.core'
+     *  - template .. 'browser' (the default), 'node', 'library' or a template
+     *    directory (see readTemplateDirectory)
+     *  - releasesOnly, cider, dryRun, offline .. see initConfig
+     *
+     * Returns a promise.
+     */
+    newProject (options) {
+        const namespace = getMainNamespace(options.namespace);
+        const template = this._getTemplate(options.template || 'browser');
+        const hasPackageJson = fs.existsSync(this.resolvePath('package.json'));
+        const data = hasPackageJson ? this._loadPackageJson() : {name: namespace.split('.')[0], version: '0.1.0', private: true};
+        const variables = {
+            name: data.name,
+            namespace,
+            path: namespacePath(namespace),
+            testNamespace: `${namespace}-test`,
+            testPath: namespacePath(`${namespace}-test`)
+        };
+        const files = lodash.mapKeys(renderTemplate(template.files, variables), (contents, file) => renderTemplate(file, variables));
+        const existingFiles = Object.keys(files).filter(file => fs.existsSync(this.resolvePath(file)));
+
+        if (existingFiles.length) {
+            throw new ConfigError(`cannot create the project, these files exist already: ${existingFiles.join(', ')}`);
+        }
+
+        if (data.cljsbuild && data.cljsbuild.dependencies) {
+            throw new ConfigError('package.json cljsbuild.dependencies does already exist');
+        }
+
+        const keptScripts = lodash.intersection(Object.keys(template.scripts), Object.keys(data.scripts || {}));
+
+        if (keptScripts.length) {
+            warn(`keeping the existing npm scripts ${keptScripts.join(', ')}`);
+        }
+
+        // without a package.json, search the default endpoints
+        const search = hasPackageJson ? this : new Config({projectDir: this._projectDir, config: {}});
+
+        return search._findDefaultDependencies(options).then((dependencies) => {
+            const cljsbuild = Object.assign({}, data.cljsbuild, renderTemplate(template.cljsbuild, variables), {dependencies});
+            const packageJson = Object.assign({}, data, {
+                scripts: Object.assign({}, renderTemplate(template.scripts, variables), data.scripts),
+                cljsbuild
+            });
+            const problems = getConfigSchema().check(cljsbuild, 'cljsbuild');
+
+            if (problems.length) {
+                throw new ConfigError(`invalid cljsbuild config in the template:\n${problems.map(p => `  - ${p}`).join('\n')}`, {problems});
+            }
+
+            if (options.dryRun) {
+                log(`files: ${Object.keys(files).join(', ')}`);
+                log('package.json:', '\n'+JSON.stringify(packageJson, null, 2));
+
+                return;
+            }
+
+            Object.keys(files).forEach((file) => {
+                log(`creating ${file}`);
+                mkdirp.sync(path.dirname(this.resolvePath(file)));
+                fs.writeFileSync(this.resolvePath(file), files[file]);
+            });
+
+            this._addToGitignore(['.cljsbuild/', 'out/', '.repl-port']);
+            log(`${hasPackageJson ? 'updating' : 'creating'} package.json`);
+            fs.writeFileSync(this.resolvePath('package.json'), JSON.stringify(packageJson, null, 2));
+            this._reloadConfig();
+            log(`created ${namespace}${packageJson.scripts.dev ? ', start developing with "npm run dev"' : ''}`);
+        });
+    }
+
+    // the newer versions of a dependency, see findUpdates
+    _getUpdate (name, current, versions, releasesOnly) {
+        const policy = this.getUpdatePolicy(name);
+        // stay on prereleases only when already using one
+        const allowPrerelease = policy.allowPrerelease || (!releasesOnly && isPrereleaseVersion(current));
+        const candidates = versions.filter(v => allowPrerelease || !isPrereleaseVersion(v));
+
+        return {
+            name,
+            current,
+            policy,
+            wanted: candidates.find(v => isAllowedUpdate(current, v, policy.level)),
+            latest: candidates.find(v => compareVersions(v, current) > 0),
+            versions
+        };
+    }
+
+    /**
+     * Find newer versions of dependencies.
+     *
+     * Returns a promise of a list of {name, current, policy, wanted, latest,
+     * versions} for each dependency with a newer version: wanted is the
+     * newest version its update policy allows (undefined if there is none),
+     * latest the newest version regardless of the policy level and versions
+     * all known versions, newest first.
+     *
+     * dependencies is a map of name -> current version.
+     *
+     * options:
+     *  - releasesOnly .. not use alpha, beta, rc versions
+     *  - offline .. find the versions in the local maven repository only
+     */
+    findUpdates (dependencies, options) {
+        const names = Object.keys(dependencies);
+
+        return this._findPackageVersions(names, options).then((fetched) => {
+            return names.map((name) => {
+                return this._getUpdate(name, dependencies[name], fetched[name], options.releasesOnly);
+            }).filter(update => update.latest);
+        });
+    }
+
+    // ask for the version to update each dependency to
+    // returns a promise resolving to a map of name -> chosen version
+    _chooseVersions (updates) {
+        log(asTable([
+            ['', 'dependency', 'current', 'policy', 'wanted', 'latest'],
+            ...updates.map((update) => {
+                return ['', update.name, update.current, update.policy.level, update.wanted || '-', update.latest];
+            })
+        ]));
+
+        const rl = readline.createInterface({input: process.stdin, output: process.stdout});
+        // queue the lines, piped answers arrive before their questions
+        const lines = [];
+        let closed = false;
+        let answer = null;
+
+        rl.on('line', (line) => {
+            if (answer) {
+                answer(line);
+                answer = null;
+            } else {
+                lines.push(line);
+            }
+        });
+        rl.on('close', () => {
+            closed = true;
+
+            if (answer) {
+                answer('');
+            }
+        });
+
+        // resolves to '' when stdin is closed
+        const ask = (question) => {
+            return new Promise((resolve) => {
+                rl.setPrompt(question);
+                rl.prompt();
+
+                if (lines.length || closed) {
+                    resolve(lines.length ? lines.shift() : '');
+                } else {
+                    answer = resolve;
+                }
+            });
+        };
+
+        const choose = (update) => {
+            const defaultVersion = update.wanted || update.current;
+
+            return ask(`${update.name} ${update.current} => version [${defaultVersion}]: `).then((answer) => {
+                const version = answer.trim() || defaultVersion;
+
+                if (version !== update.current && update.versions.indexOf(version) === -1) {
+                    log(`unknown version ${JSON.stringify(version)}, available versions: ${update.versions.join(', ')}`);
+
+                    return choose(update);
+                }
+
+                return {[update.name]: version};
+            });
+        };
+
+        return updates.reduce((promise, update) => {
+            return promise.then(chosen => choose(update).then(version => Object.assign(chosen, version)));
+        }, Promise.resolve({})).then((chosen) => {
+            rl.close();
+
+            return chosen;
+        });
+    }
+
+    /**
+     * Update the cljs dependencies to their newest versions
+     *
+     * Versions are only updated to newer versions allowed by the update policy
+     * of the dependency (see getUpdatePolicy), prereleases only when the
+     * dependency is already using one or its policy allows them.
+     *
+     * Options:
+     *  - releasesOnly .. not use alpha, beta, rc versions
+     *  - dryRun .. do not write the new versions to package.json, just print it
+     *  - offline .. find the versions in the local maven repository only
+     *  - interactive .. ask for the version of each dependency
+     *  - only .. list of the dependency names to update, default all
+     */
+    updateDependencies (options) {
+        const current = this.getConfig('dependencies');
+        const only = options.only || [];
+
+        only.forEach((name) => {
+            if (!current.hasOwnProperty(name)) {
+                throw new ConfigError(`undefined dependency: ${JSON.stringify(name)}, dependencies: ${Object.keys(current).join(', ')}`);
+            }
+        });
+
+        const packageNames = Object.keys(current).filter(name => !only.length || only.indexOf(name) !== -1);
+
+        const versions = lodash.fromPairs(packageNames.map(name => [name, normalizeDependency(current[name]).version]));
+
+        return this.findUpdates(versions, options).then((updates) => {
+            if (options.interactive && updates.length) {
+                return this._chooseVersions(updates);
+            }
+
+            const heldBack = updates.filter(update => update.wanted !== update.latest);
+
+            if (heldBack.length) {
+                log('newer versions not allowed by the update policy:');
+                log(asTable(heldBack.map(update => ['', update.name, update.current, update.policy.level, update.latest])));
+            }
+
+            return Object.assign({}, ...updates.filter(update => update.wanted).map(update => ({[update.name]: update.wanted})));
+        }).then((chosen) => {
+            const updated = Object.assign(
+                {},
+                ...Object.keys(chosen).filter((packageName) => {
+                    return chosen[packageName] !== normalizeDependency(current[packageName]).version;
+                }).map((packageName) => {
+                    // keep exclusions, classifier and scope
+                    return {[packageName]: denormalizeDependency(Object.assign(normalizeDependency(current[packageName]), {
+                        version: chosen[packageName]
+                    }))};
+                })
+            );
+
+            if (!Object.keys(updated).length) {
+                log('no updates found');
+                return;
+            }
+
+            if (options.dryRun) {
+                log('would update the following dependencies in package.json:');
+            } else {
+                log('updating package.json with new cljs versions:');
+            }
+
+            log(asTable(Object.keys(updated).map((packageName) => {
+                return [
+                    '',
+                    packageName,
+                    normalizeDependency(current[packageName]).version,
+                    '=>',
+                    chosen[packageName]
+                ];
+            })));
+
+            if (!options.dryRun) {
+                // keep the rest of the cljsbuild config
+                this._updatePackageJson(['cljsbuild', 'dependencies'], Object.assign({}, current, updated));
+                log('done');
+            }
+        });
+    }
+}
+
+/**
+ * Invoke Maven using depedencies defined in the config.
+ */
+class Maven {
+
+    constructor (config) {
+        this._config = config;
+    }
+
+    // return a hash over the declared depdendencies of a project
+    _hashDepdendencies () {
+        // deterministically serialize the dependencies
+        const dependencies = this._config.getDependencies();
+        const dependencyList = [];
+
+        Object.keys(dependencies).forEach((name) => {
+            dependencyList.push([name, dependencies[name]]);
+        });
+
+        dependencyList.sort((a,b) => {
+            const x = a[0];
+            const y = b[0];
+
+            if (x < y) {
+                return -1;
+            }
+            if (x > y) {
+                return 1;
+            }
+
+            return 0;
+        });
+
+        const dependencyString = dependencyList.map(d => `${d[0]}${JSON.stringify(d[1])}`).join('');
+
+        // hash them
+        return crypto.createHash('sha1').update(dependencyString).digest().toString('hex');;
+    }
+
+    // return a hash over the maven repositories, they change the classpath
+    // too
+    _hashRepositories () {
+        const repositories = this._config.getRepositories();
+        const repositoryList = Object.keys(repositories).sort().map(id => [id, repositories[id]]);
+
+        return crypto.createHash('sha1').update(JSON.stringify(repositoryList)).digest('hex');
+    }
+
+    // return the path of the generated pom.xml which drives maven
+    _getPomXmlPath () {
+        // do not clutter the root directory
+        return this._config.resolvePath(this._config.getConfig('tempdir'), 'pom.xml');
+    }
+
+    _getLockfilePath () {
+        return this._config.resolvePath(this._config.getConfig('lockfile'));
+    }
+
+    // return the parsed lockfile or null if there is none
+    _readLockfile () {
+        const contents = readFile(this._getLockfilePath());
+
+        if (!contents) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(contents);
+        } catch (e) {
+            throw new DependencyError(`could not parse ${this._config.getConfig('lockfile')}: ${e.message}`);
+        }
+    }
+
+    // return the lockfile if it was created from the current dependencies
+    _getCurrentLockfile () {
+        const lockfile = this._readLockfile();
+
+        if (lockfile && lockfile.dependenciesHash !== this._hashDepdendencies()) {
+            warn(`dependencies have changed since ${this._config.getConfig('lockfile')} was written, run "cljsbuild lock" to update it`);
+
+            return null;
+        }
+
+        return lockfile;
+    }
+
+    _writeLockfile (artifacts) {
+        const lockfile = {
+            lockfileVersion: 1,
+            dependenciesHash: this._hashDepdendencies(),
+            artifacts: lodash.fromPairs(artifacts.map(a => [a.id, lodash.omit(a, 'id', 'file')]))
+        };
+
+        log(`writing ${this._config.getConfig('lockfile')}`);
+        fs.writeFileSync(this._getLockfilePath(), JSON.stringify(lockfile, null, 2) + '\n');
+    }
+
+    // run maven with the generated pom.xml and settings.xml, its output
+    // is shown with -v
+    _mvn (args) {
+        return sh(`mvn ${args}`, {prefix: 'maven> ', level: 'info', cwd: this._config.getProjectDir()}).catch((e) => {
+            throw new DependencyError(`maven failed: ${e.message}`, lodash.pick(e, 'command', 'code', 'signal'));
+        });
+    }
+
+    // create the pom.xml and settings.xml, run fn and remove them again
+    // returns a promise of the result of fn
+    _withPomXml (options, fn) {
+        return Promise.resolve().then(() => {
+            this.createPomXml(options);
+            this._createSettingsXml();
+
+            return fn();
+        }).then((result) => {
+            this._removeMavenFiles();
+
+            return result;
+        }, (e) => {
+            this._removeMavenFiles();
+            throw e;
+        });
+    }
+
+    // return a promise of the artifacts resolved by maven for the current
+    // pom.xml, each with groupId, artifactId, type, classifier, version,
+    // scope, file, sha256 and an id ('groupId:artifactId:type[:classifier]')
+    _resolveArtifacts () {
+        const outputFile = this._config.resolvePath(this._config.getConfig('tempdir'), 'dependencies.list');
+
+        return this._mvn(`dependency:list ${this._getMavenOptions()} -DoutputFile=${outputFile} -DappendOutput=false -DoutputAbsoluteArtifactFilename=true`)
+            .then(() => {
+                const artifacts = this._parseArtifacts(readFile(outputFile));
+
+                removeFile(outputFile);
+
+                return artifacts;
+            });
+    }
+
+    // parse the output of mvn dependency:list
+    _parseArtifacts (dependencyList) {
+        const scopes = ['compile', 'provided', 'runtime', 'test', 'system', 'import'];
+        const artifacts = [];
+
+        dependencyList.split('\n').forEach((line) => {
+            // groupId:artifactId:type[:classifier]:version:scope:file [-- module ...]
+            const parts = line.trim().replace(/ -- .*$/, '').split(':');
+
+            if (parts.length < 6) {
+                return;
+            }
+
+            const hasClassifier = scopes.indexOf(parts[4]) === -1;
+            const rest = hasClassifier ? parts.slice(4) : parts.slice(3);
+            const artifact = {
+                groupId: parts[0],
+                artifactId: parts[1],
+                type: parts[2],
+                classifier: hasClassifier ? parts[3] : undefined,
+                version: rest[0],
+                scope: rest[1],
+                file: rest.slice(2).join(':')
+            };
+
+            if (scopes.indexOf(artifact.scope) === -1) {
+                return;
+            }
+
+            artifact.id = [artifact.groupId, artifact.artifactId, artifact.type, artifact.classifier].filter(x => x).join(':');
+            artifact.sha256 = crypto.createHash('sha256').update(fs.readFileSync(artifact.file)).digest('hex');
+            artifacts.push(lodash.omitBy(artifact, lodash.isUndefined));
+        });
+
+        return lodash.sortBy(artifacts, 'id');
+    }
+
+    // return a list of [id, locked, resolved] rows for artifacts whose
+    // version or checksum differs from the lockfile
+    _diffArtifacts (lockfile, artifacts) {
+        const describe = a => a ? `${a.version} (sha256 ${a.sha256.slice(0, 12)})` : '-';
+        const resolved = lodash.keyBy(artifacts, 'id');
+        const ids = lodash.union(Object.keys(lockfile.artifacts), Object.keys(resolved)).sort();
+
+        return ids.filter((id) => {
+            const locked = lockfile.artifacts[id];
+
+            return !locked || !resolved[id] || locked.version !== resolved[id].version || locked.sha256 !== resolved[id].sha256;
+        }).map((id) => {
+            return [id, describe(lockfile.artifacts[id]), describe(resolved[id])];
+        });
+    }
+
+    // parse the output of dependency:tree into a list of root nodes
+    _parseDependencyTree (output) {
+        const roots = [];
+        const stack = [];
+
+        output.split('\n').forEach((line) => {
+            // each level of indentation is either '+- ', '\\- ', '|  ' or '   '
+            const match = line.match(/^((?:[|+\\ ][- ] )*)(\(?)([^ ()]+)(?: - ([^)]*))?\)?\s*$/);
+
+            if (!match || !match[1]) {
+                // the root project or an empty line
+                return;
+            }
+
+            const depth = match[1].length / 3;
+            const parts = match[3].split(':');
+            const note = match[4] || '';
+            const hasClassifier = parts.length > 5;
+            const conflict = note.match(/omitted for conflict with ([^;\s]+)/);
+            const managed = note.match(/version managed from ([^;\s]+)/);
+            const node = lodash.omitBy({
+                name: `${parts[0]}/${parts[1]}`,
+                groupId: parts[0],
+                artifactId: parts[1],
+                type: parts[2],
+                classifier: hasClassifier ? parts[3] : undefined,
+                version: parts[hasClassifier ? 4 : 3],
+                scope: parts[hasClassifier ? 5 : 4],
+                omitted: match[2] ? (note.match(/omitted for (conflict|duplicate|cycle)/) || [])[1] || 'other' : undefined,
+                winner: conflict ? conflict[1] : undefined,
+                managedFrom: managed ? managed[1] : undefined,
+                children: []
+            }, lodash.isUndefined);
+
+            stack.length = depth - 1;
+
+            if (depth === 1) {
+                roots.push(node);
+            } else if (stack[depth - 2]) {
+                stack[depth - 2].children.push(node);
+            }
+
+            stack[depth - 1] = node;
+        });
+
+        return roots;
+    }
+
+    // collect the conflicts in a dependency tree: one entry per artifact
+    // with the winning version and the requested versions with the path
+    // of the dependency that requested them
+    _findConflicts (tree) {
+        const conflicts = {};
+
+        const walk = (nodes, parents) => {
+            nodes.forEach((node) => {
+                if (node.omitted === 'conflict') {
+                    const conflict = conflicts[node.name] || {name: node.name, version: node.winner, requested: []};
+
+                    conflict.requested.push({version: node.version, by: parents.map(p => p.name)});
+                    conflicts[node.name] = conflict;
+                }
+
+                walk(node.children, parents.concat([node]));
+            });
+        };
+
+        walk(tree, []);
+
+        return lodash.sortBy(lodash.values(conflicts), 'name');
+    }
+
+    /**
+     * Resolve the dependency tree.
+     *
+     * Returns a promise of {tree, conflicts}, tree is a list of nodes with
+     * name, groupId, artifactId, type, classifier, version, scope, children
+     * and, for dependencies not used in the final classpath, omitted
+     * ('conflict', 'duplicate' or 'cycle') and winner (the version used
+     * instead).
+     *
+     * options:
+     *  - quiet .. only let maven print errors
+     */
+    getDependencyTree (options) {
+        const quiet = (options || {}).quiet ? '-q ' : '';
+        const outputFile = this._config.resolvePath(this._config.getConfig('tempdir'), 'dependencies.tree');
+
+        return this._withPomXml({}, () => {
+            // verbose output (omitted dependencies) needs plugin version >= 3.2
+            return this._mvn(`${quiet}org.apache.maven.plugins:maven-dependency-plugin:3.6.1:tree ${this._getMavenOptions()} -Dverbose=true -DoutputFile=${outputFile} -DappendOutput=false`);
+        }).then(() => {
+            const tree = this._parseDependencyTree(readFile(outputFile));
+
+            removeFile(outputFile);
+
+            return {tree, conflicts: this._findConflicts(tree)};
+        });
+    }
+
+    /**
+     * Print the dependency tree and a report of the version conflicts.
+     *
+     * options:
+     *  - json .. print the tree and the conflicts as JSON
+     */
+    printDependencyTree (options) {
+        // keep maven output out of the JSON
+        return this.getDependencyTree({quiet: (options || {}).json}).then(result => this._printDependencyTree(result, options));
+    }
+
+    _printDependencyTree (result, options) {
+        if ((options || {}).json) {
+            printJson(result, 2);
+
+            return;
+        }
+
+        const printNodes = (nodes, indent) => {
+            nodes.forEach((node) => {
+                let annotation = '';
+
+                if (node.omitted === 'conflict') {
+                    annotation = ` CONFLICT: ${node.winner} wins`;
+                } else if (node.omitted) {
+                    annotation = ` (omitted: ${node.omitted})`;
+                } else if (node.managedFrom) {
+                    annotation = ` (pinned, requested ${node.managedFrom})`;
+                }
+
+                log(`${indent}${node.name} ${node.version}${node.scope === 'compile' ? '' : ` [${node.scope}]`}${annotation}`);
+                printNodes(node.children, indent + '  ');
+            });
+        };
+
+        printNodes(result.tree, '');
+
+        if (!result.conflicts.length) {
+            log('\nno version conflicts');
+
+            return;
+        }
+
+        log('\nversion conflicts:');
+        log(asTable([['artifact', 'used', 'requested', 'by']].concat(...result.conflicts.map((conflict) => {
+            return conflict.requested.map((r) => {
+                return [conflict.name, conflict.version, r.version, r.by.join(' > ')];
+            });
+        }))));
+    }
+
+    /**
+     * Resolve all dependencies without the versions pinned in the
+     * lockfile and (re)write the lockfile.
+     *
+     * Returns a promise.
+     */
+    lock () {
+        return this._withPomXml({ignoreLockfile: true}, () => this._resolveArtifacts())
+            .then(artifacts => this._writeLockfile(artifacts));
+    }
+
+    // return a promise of the resolved artifacts, taken from the lockfile
+    // when it is up to date
+    _getResolvedArtifacts () {
+        const lockfile = this._getCurrentLockfile();
+
+        if (lockfile) {
+            return Promise.resolve(lodash.values(lockfile.artifacts));
+        }
+
+        return this._withPomXml({}, () => this._resolveArtifacts());
+    }
+
+    /**
+     * Print the current, wanted and latest versions of the outdated
+     * dependencies, including the transitive ones.
+     *
+     * Returns a promise of the outdated dependencies (see
+     * Config.findUpdates), each with a type: 'direct' or 'transitive'.
+     *
+     * options:
+     *  - json .. print the outdated dependencies as JSON
+     *  - releasesOnly .. not use alpha, beta, rc versions
+     *  - offline .. find the versions in the local maven repository only
+     */
+    outdated (options) {
+        const declared = lodash.mapKeys(this._config.getDependencies(), (value, name) => dependencyCoordinate(name));
+
+        return this._getResolvedArtifacts().then((artifacts) => {
+            const versions = lodash.mapValues(declared, value => normalizeDependency(value).version);
+
+            artifacts.forEach((artifact) => {
+                const name = `${artifact.groupId}/${artifact.artifactId}`;
+
+                if (!versions.hasOwnProperty(name)) {
+                    versions[name] = artifact.version;
+                }
+            });
+
+            return this._config.findUpdates(versions, options);
+        }).then((updates) => {
+            const outdated = lodash.sortBy(updates.map((update) => {
+                return Object.assign({type: declared.hasOwnProperty(update.name) ? 'direct' : 'transitive'}, update);
+            }), ['type', 'name']);
+
+            if ((options || {}).json) {
+                printJson(outdated.map((update) => {
+                    return Object.assign(lodash.pick(update, 'name', 'type', 'current', 'wanted', 'latest'), {policy: update.policy.level});
+                }), 2);
+            } else if (!outdated.length) {
+                log('all dependencies are up to date');
+            } else {
+                log(asTable([['dependency', 'current', 'wanted', 'latest', 'type'], ...outdated.map((update) => {
+                    return [update.name, update.current, update.wanted || '-', update.latest, update.type];
+                })]));
+            }
+
+            return outdated;
+        });
+    }
+
+    /**
+     * Check the resolved artifacts against an OSV advisory database and
+     * print the vulnerabilities.
+     *
+     * Returns a promise of the vulnerabilities (see auditArtifacts) with at
+     * least the given severity, vulnerabilities of unknown severity are always
+     * included.
+     *
+     * options:
+     *  - advisories .. advisory database file or directory, defaults to
+     *    cljsbuild.advisories
+     *  - level .. the minimum severity: low (the default), moderate, high or
+     *    critical
+     *  - json .. print the vulnerabilities as JSON
+     */
+    audit (options) {
+        const level = options.level || 'low';
+        const advisories = this._config.resolvePath(options.advisories || this._config.getConfig('advisories'));
+
+        if (severities.indexOf(level) === -1) {
+            throw new ConfigError(`unknown severity: ${JSON.stringify(level)}, available severities: ${severities.join(', ')}`);
+        }
+
+        if (!fs.existsSync(advisories)) {
+            throw new ConfigError(`advisory database ${JSON.stringify(advisories)} does not exist`);
+        }
+
+        const vulnerabilities = readAdvisories(advisories);
+
+        info(`read ${vulnerabilities.length} advisories from ${advisories}`);
+
+        return this._getResolvedArtifacts().then((artifacts) => {
+            const findings = auditArtifacts(artifacts, vulnerabilities).filter((finding) => {
+                return finding.severity === 'unknown' || severities.indexOf(finding.severity) >= severities.indexOf(level);
+            });
+
+            if (options.json) {
+                printJson({artifacts: artifacts.length, vulnerabilities: findings}, 2);
+            } else if (!findings.length) {
+                log(`no vulnerabilities found in ${artifacts.length} artifacts`);
+            } else {
+                log(asTable([['artifact', 'version', 'severity', 'advisory', 'fixed in', 'summary'], ...findings.map((finding) => {
+                    return [finding.artifact, finding.version, finding.severity, finding.id, finding.fixed || '-', finding.summary];
+                })]));
+                log(`\n${findings.length} vulnerabilities found in ${artifacts.length} artifacts`);
+            }
+
+            return findings;
+        });
+    }
+
+    // return the path of the generated settings.xml holding repository
+    // credentials, it only exists while maven runs
+    _getSettingsXmlPath () {
+        return this._config.resolvePath(this._config.getConfig('tempdir'), 'settings.xml');
+    }
+
+    _getDependencyXml (name, value) {
+        const {groupId, artifactId} = parseDependencyName(name);
+        const dependency = normalizeDependency(value);
+
+        if (!dependency.version) {
+            throw new ConfigError(`missing version for dependency ${JSON.stringify(name)}`);
+        }
+
+        const exclusions = (dependency.exclusions || []).map((exclusion) => {
+            const coordinates = parseDependencyName(exclusion);
+
+            return ['exclusion',
+                    ['groupId', coordinates.groupId],
+                    ['artifactId', coordinates.artifactId]];
+        });
+
+        return ['dependency',
+                ['groupId', groupId],
+                ['artifactId', artifactId],
+                ['version', dependency.version],
+                dependency.classifier && ['classifier', dependency.classifier],
+                dependency.scope && ['scope', dependency.scope],
+                exclusions.length ? ['exclusions', ...exclusions] : undefined];
+    }
+
+    /**
+     * Write the pom.xml for the configured dependencies.
+     *
+     * The versions of all (transitive) dependencies are pinned to the ones
+     * in an up-to-date lockfile unless options.ignoreLockfile is set.
+     */
+    createPomXml (options) {
+        const dependencies = this._config.getDependencies();
+        const repositories = this._config.getRepositories();
+        const lockfile = (options || {}).ignoreLockfile ? null : this._getCurrentLockfile();
+        const lockedArtifacts = lockfile ? lodash.values(lockfile.artifacts) : [];
+
+        const pom = [
+            'project',
+            ['modelVersion', '4.0.0'],
+            ['groupId', 'org.clojars.YOUR-CLOJARS-USERNAME-HERE'],
+            ['artifactId', 'JAR-NAME-HERE'],
+            ['version', 'JAR-VERSION-HERE'],
+            ['name', 'JAR-NAME-HERE'],
+            ['description', 'JAR-DESCRIPTION-HERE'],
+            ['licenses',
+             ['license',
+              ['name', 'Eclipse Public License 1.0'],
+              ['url', 'http://opensource.org/licenses/eclipse-1.0.php'],
+              ['distribution', 'repo']]],
+            ['repositories', ...Object.keys(repositories).map((id) => {
+                return ['repository',
+                        ['id', id],
+                        ['url', repositories[id].url]];
+            })],
+            lockedArtifacts.length ? ['dependencyManagement', ['dependencies', ...lockedArtifacts.map((artifact) => {
+                return ['dependency',
+                        ['groupId', artifact.groupId],
+                        ['artifactId', artifact.artifactId],
+                        ['version', artifact.version],
+                        ['type', artifact.type],
+                        artifact.classifier && ['classifier', artifact.classifier]];
+            })]] : undefined,
+            ['dependencies', ...Object.keys(dependencies).map((name) => {
+                return this._getDependencyXml(name, dependencies[name]);
+            })]
+        ];
+
+        const pomXmlPath = this._getPomXmlPath();
+
+        info(`writing ${JSON.stringify(pomXmlPath)}`);
+        mkdirp.sync(path.dirname(pomXmlPath));
+        fs.writeFileSync(pomXmlPath, toXml(pom) + '\n');
+    }
+
+    // write the settings.xml with the servers of the repositories with
+    // credentials, if any
+    _createSettingsXml () {
+        const repositories = this._config.getRepositories();
+
+        // credentials are looked up by maven in the settings.xml, let maven
+        // read the configured ones from the environment
+        const servers = Object.keys(repositories).filter((id) => {
+            return repositories[id].usernameEnv || repositories[id].passwordEnv;
+        }).map((id) => {
+            const repository = repositories[id];
+
+            return ['server',
+                    ['id', id],
+                    repository.usernameEnv && ['username', `\${env.${repository.usernameEnv}}`],
+                    repository.passwordEnv && ['password', `\${env.${repository.passwordEnv}}`]];
+        });
+
+        if (!servers.length) {
+            removeFile(this._getSettingsXmlPath());
+
+            return;
+        }
+
+        // used as the user settings, so it has to include them
+        const userSettingsPath = path.join(os.homedir(), '.m2', 'settings.xml');
+        let settings;
+
+        try {
+            settings = mergeMavenServers(readFile(userSettingsPath), servers);
+        } catch (e) {
+            throw new ConfigError(`could not add the repository credentials to ${userSettingsPath}: ${e.message}`);
+        }
+
+        info(`writing ${JSON.stringify(this._getSettingsXmlPath())}`);
+        mkdirp.sync(path.dirname(this._getSettingsXmlPath()));
+        fs.writeFileSync(this._getSettingsXmlPath(), settings, {mode: 0o600});
+    }
+
+    // remove the generated pom.xml and settings.xml (it may contain the
+    // credentials of ~/.m2/settings.xml)
+    _removeMavenFiles () {
+        removeFile(this._getPomXmlPath());
+        removeFile(this._getSettingsXmlPath());
+    }
+
+    // return the maven commandline options to use the generated pom.xml
+    // and settings.xml (as user settings including ~/.m2/settings.xml, to
+    // keep the mirrors and proxies of the global settings)
+    _getMavenOptions () {
+        const settings = fs.existsSync(this._getSettingsXmlPath()) ? ` -s ${this._getSettingsXmlPath()}` : '';
+
+        return `-f ${this._getPomXmlPath()}${settings}`;
+    }
+
+    /**
+     * Install the dependencies and write the resolved artifacts to the
+     * lockfile.
+     *
+     * options:
+     *  - frozen .. do not write the lockfile, fail with a DependencyError
+     *    when the resolved artifacts differ from it instead
+     *
+     * Returns a promise.
+     */
+    installDependencies (options) {
+        const frozen = (options || {}).frozen;
+        const lockfileName = this._config.getConfig('lockfile');
+        const lockfile = this._readLockfile();
+
+        if (frozen && !lockfile) {
+            throw new DependencyError(`${lockfileName} does not exist, run "cljsbuild lock" to create it`);
+        }
+
+        if (frozen && lockfile.dependenciesHash !== this._hashDepdendencies()) {
+            throw new DependencyError(`dependencies have changed since ${lockfileName} was written, run "cljsbuild lock" to update it`);
+        }
+
+        return this._withPomXml({}, () => {
+            return this._mvn(`install ${this._getMavenOptions()}`).then(() => this._resolveArtifacts());
+        }).then((artifacts) => {
+            const differences = lockfile ? this._diffArtifacts(lockfile, artifacts) : null;
+
+            if (frozen && differences.length) {
+                log(asTable([['artifact', lockfileName, 'resolved'], ...differences]));
+                throw new DependencyError(`resolved dependencies differ from ${lockfileName}`);
+            }
+
+            if (!frozen && (!differences || differences.length || lockfile.dependenciesHash !== this._hashDepdendencies())) {
+                this._writeLockfile(artifacts);
+            }
+        });
+    }
+
+    // compute, cache and return a promise of the projects classpath
+    // (installs depdendencies when missing)
+    getClasspath () {
+        const classpathValueFile = this._config.resolvePath(this._config.getConfig('tempdir'), 'classpath.value');
+        const classpathHashFile = this._config.resolvePath(this._config.getConfig('tempdir'), 'classpath.hash');
+
+        const lastDependencyHash = readFile(classpathHashFile);
+        // the lockfile pins the versions of transitive dependencies
+        const currentDependencyHash = this._hashDepdendencies() + this._hashRepositories() + readFile(this._getLockfilePath());
+        const cachedClasspath = readFile(classpathValueFile);
+
+        // use value from cache if not stale and the cache exists
+        if ((lastDependencyHash === currentDependencyHash) && cachedClasspath) {
+            info(`using cached classpath from ${classpathValueFile}`);
+
+            return Promise.resolve(cachedClasspath);
+        }
+
+        // compute the classpath
+        return this._withPomXml({}, () => {
+            return this._mvn(`dependency:build-classpath ${this._getMavenOptions()} -Dmdep.outputFile=${classpathValueFile}`);
+        }).then(() => {
+            // cache the classpath
+            fs.writeFileSync(classpathHashFile, currentDependencyHash);
+
+            return fs.readFileSync(classpathValueFile).toString();
+        });
+    }
+}
+
+/**
+ * A long running compiler process that compiles builds on request.
+ *
+ * Talks a line based protocol over stdin and stdout: each request is an edn
+ * map {:id build-id :src [source-dir ...] :opts compiler-options :files
+ * [changed-file ...]}, the process answers with a line 'cljsbuild/result
+ * {:id .. :status :ok|:error :duration ms :namespaces [..] :warnings [..]}'.
+ * All other output is logged with a 'cljs> ' prefix.
+ * The process signals that it is ready to take requests with a
+ * 'cljsbuild/ready' line.
+ *
+ * The command is configurable, so any program speaking the protocol can
+ * stand in for the jvm (e.g. a fake compiler in tests).
+ */
+class CompilerProcess {
+
+    constructor (params) {
+        this._command = params.command;
+        this._args = params.args;
+        this._cwd = params.cwd;
+        this._process = null;
+        this._pending = [];
+        this._ready = null;
+        // the error of the exited process, later requests are rejected with it
+        this._exitError = null;
+        this._stopOnExit = () => this.stop();
+    }
+
+    _rejectPending (error) {
+        this._pending.forEach(p => p.reject(error));
+        this._pending = [];
+    }
+
+    // start the process, returns a promise resolving when it is ready
+    start () {
+        info(`running ${JSON.stringify([this._command, ...this._args].join(' '))}`);
+
+        this._process = childProcess.spawn(this._command, this._args, {cwd: this._cwd, stdio: ['pipe', 'pipe', 'pipe']});
+        trackChildProcess(this._process);
+        // do not leave the jvm running when cljsbuild exits
+        process.on('exit', this._stopOnExit);
+
+        this._ready = new Promise((resolve, reject) => {
+            readline.createInterface({input: this._process.stdout}).on('line', (line) => {
+                if (line === 'cljsbuild/ready') {
+                    resolve();
+                } else if (line.startsWith('cljsbuild/result ')) {
+                    debug(`compile result: ${line.slice('cljsbuild/result '.length)}`);
+
+                    const request = this._pending.shift();
+
+                    if (!request) {
+                        warn(`unexpected compile result from the compiler process: ${line}`);
+
+                        return;
+                    }
+
+                    try {
+                        request.resolve(fromEdn(readEdn(line.slice('cljsbuild/result '.length))[0]));
+                    } catch (e) {
+                        request.reject(new Error(`invalid compile result from the compiler process: ${e.message}`));
+                    }
+                } else {
+                    log(`cljs> ${line}`);
+                }
+            });
+            readline.createInterface({input: this._process.stderr}).on('line', line => log(`cljs> ${line}`));
+
+            // writing to an exited process fails with EPIPE
+            this._process.stdin.on('error', (e) => {
+                this._rejectPending(new Error(`could not send the compile request: ${e.message}`));
+            });
+            this._process.on('error', reject);
+            this._process.on('exit', (code, signal) => {
+                process.removeListener('exit', this._stopOnExit);
+                this._exitError = new CommandError(`compiler process exited ${signal ? `by ${signal}` : `with code ${code}`}`, {
+                    command: [this._command, ...this._args].join(' '),
+                    code,
+                    signal
+                });
+                this._rejectPending(this._exitError);
+                reject(this._exitError);
+            });
+        });
+
+        return this._ready;
+    }
+
+    /**
+     * Compile a build, request is a map of id, src, opts and files.
+     *
+     * Returns a promise of the compile result. Requests are answered in
+     * order, one at a time.
+     */
+    compile (request) {
+        return this._ready.then(() => {
+            return new Promise((resolve, reject) => {
+                if (this._exitError) {
+                    reject(this._exitError);
+
+                    return;
+                }
+
+                debug(`compile request: ${toEdn(request)}`);
+                this._pending.push({resolve, reject});
+                this._process.stdin.write(toEdn(request) + '\n');
+            });
+        });
+    }
+
+    stop () {
+        process.removeListener('exit', this._stopOnExit);
+
+        if (this._process) {
+            this._process.kill();
+        }
+    }
+}
+
+/**
+ * Run the commands and node modules configured in cljsbuild.hooks.
+ *
+ * A hook is a shell command, a {command} or {module} object or a list of
+ * them. Commands get the build metadata in CLJSBUILD_* environment
+ * variables, modules must export a function that is called with the
+ * metadata and may return a promise. Both are relative to cwd.
+ */
+class Hooks {
+
+    constructor (hooks, cwd) {
+        this._hooks = hooks || {};
+        this._cwd = path.resolve(cwd || '.');
+    }
+
+    _getEnvironment (metadata) {
+        const variables = lodash.omitBy({
+            CLJSBUILD_EVENT: metadata.event,
+            CLJSBUILD_BUILD_ID: metadata.buildId,
+            CLJSBUILD_TARGET: metadata.target,
+            CLJSBUILD_OUTPUT_DIR: metadata.outputDir,
+            CLJSBUILD_PLATFORM: metadata.platform,
+            CLJSBUILD_PROFILE: metadata.profile,
+            CLJSBUILD_STATUS: metadata.status,
+            CLJSBUILD_DURATION: metadata.duration,
+            CLJSBUILD_WARNINGS: metadata.warnings && metadata.warnings.length,
+            CLJSBUILD_METADATA: JSON.stringify(metadata)
+        }, lodash.isUndefined);
+
+        return Object.assign({}, process.env, lodash.mapValues(variables, String));
+    }
+
+    _runHook (hook, metadata) {
+        const spec = typeof hook === 'string' ? {command: hook} : hook;
+
+        if (spec.module) {
+            info(`running ${metadata.event} hook ${spec.module}`);
+
+            return Promise.resolve().then(() => require(path.resolve(this._cwd, spec.module))(metadata));
+        }
+
+        info(`running ${metadata.event} hook ${JSON.stringify(spec.command)}`);
+
+        return sh(spec.command, {prefix: `${metadata.event}> `, env: this._getEnvironment(metadata), cwd: this._cwd}).catch((e) => {
+            throw new CommandError(`${metadata.event} hook failed: ${e.message}`, lodash.pick(e, 'command', 'code', 'signal'));
+        });
+    }
+
+    /**
+     * Run the hooks of event ('preBuild', 'postBuild', 'onWatchRebuild'
+     * or 'onBuildError') one after another.
+     *
+     * Returns a promise, rejected when a hook fails.
+     */
+    run (event, metadata) {
+        const data = Object.assign({event}, metadata);
+
+        return [].concat(this._hooks[event] || []).reduce((previous, hook) => {
+            return previous.then(() => this._runHook(hook, data));
+        }, Promise.resolve());
+    }
+}
+
+/**
+ * A background daemon that keeps a CompilerProcess running and accepts
+ * compile requests on a local socket, using the CompilerProcess protocol.
+ *
+ * The daemon writes its pid, socket and classpath to a state file in the
+ * tempdir. Clients must only use a server started with their classpath.
+ */
+class CompileServer {
+
+    constructor (params) {
+        this._tempdir = params.tempdir;
+    }
+
+    _getStatePath () {
+        return path.join(this._tempdir, 'server.json');
+    }
+
+    // relative, unix socket paths must not be longer than ~100 chars
+    getSocketPath () {
+        return path.join(this._tempdir, 'server.sock');
+    }
+
+    getLogPath () {
+        return path.join(this._tempdir, 'server.log');
+    }
+
+    /**
+     * Return the state ({pid, socket, classpath}) of the running server or
+     * null if no server is running.
+     */
+    getState () {
+        const contents = readFile(this._getStatePath());
+
+        if (!contents) {
+            return null;
+        }
+
+        let state;
+
+        try {
+            state = JSON.parse(contents);
+        } catch (e) {
+            // e.g. truncated by a crash while writing it
+            debug(`ignoring the invalid compile server state ${this._getStatePath()}: ${e.message}`);
+
+            return null;
+        }
+
+        try {
+            // signal 0 only checks whether the process exists
+            process.kill(state.pid, 0);
+        } catch (e) {
+            return null;
+        }
+
+        return state;
+    }
+
+    _cleanup () {
+        removeFile(this._getStatePath());
+        removeFile(this.getSocketPath());
+    }
+
+    /**
+     * Serve compile requests using compiler, a started CompilerProcess.
+     *
+     * Returns a promise resolving once the server is listening.
+     */
+    listen (compiler, classpath) {
+        // a stale socket from a crashed server prevents listening
+        this._cleanup();
+
+        const server = net.createServer((socket) => {
+            // clients match results to requests by their order
+            let answered = Promise.resolve();
+
+            readline.createInterface({input: socket}).on('line', (line) => {
+                answered = answered.then(() => {
+                    let request;
+
+                    try {
+                        request = readEdn(line)[0];
+                    } catch (e) {
+                        return {status: ednKeyword('error'), message: `invalid compile request: ${e.message}`, duration: 0, namespaces: [], warnings: []};
+                    }
+
+                    return compiler.compile(request);
+                }).then((result) => {
+                    socket.write(`cljsbuild/result ${toEdn(result)}\n`);
+                }).catch((e) => {
+                    socket.destroy(e);
+                });
+            });
+            socket.on('error', e => info('compile server client error:', e.message));
+        });
+
+        const shutdown = () => {
+            server.close();
+            compiler.stop();
+            this._cleanup();
+            process.exit();
+        };
+
+        process.on('SIGTERM', shutdown);
+        process.on('SIGINT', shutdown);
+
+        return new Promise((resolve, reject) => {
+            server.on('error', reject);
+            server.listen(this.getSocketPath(), () => {
+                fs.writeFileSync(this._getStatePath(), JSON.stringify({
+                    pid: process.pid,
+                    socket: this.getSocketPath(),
+                    classpath
+                }));
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Connect to the running server.
+     *
+     * Returns a promise of a client with the compile and stop methods of a
+     * CompilerProcess.
+     */
+    connect () {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(this.getSocketPath());
+            const pending = [];
+
+            readline.createInterface({input: socket}).on('line', (line) => {
+                if (line.startsWith('cljsbuild/result ')) {
+                    const request = pending.shift();
+
+                    if (!request) {
+                        warn(`unexpected compile result from the compile server: ${line}`);
+
+                        return;
+                    }
+
+                    try {
+                        request.resolve(fromEdn(readEdn(line.slice('cljsbuild/result '.length))[0]));
+                    } catch (e) {
+                        request.reject(new Error(`invalid compile result from the compile server: ${e.message}`));
+                    }
+                }
+            });
+
+            socket.on('error', (e) => {
+                pending.forEach(p => p.reject(e));
+                reject(e);
+            });
+            socket.on('close', () => {
+                pending.forEach(p => p.reject(new Error('compile server closed the connection')));
+            });
+            socket.on('connect', () => {
+                resolve({
+                    compile: (request) => {
+                        return new Promise((resolve, reject) => {
+                            pending.push({resolve, reject});
+                            socket.write(toEdn(request) + '\n');
+                        });
+                    },
+                    stop: () => socket.end()
+                });
+            });
+        });
+    }
+
+    // stop the running server, returns its pid or null if none was running
+    stop () {
+        const state = this.getState();
+
+        if (!state) {
+            return null;
+        }
+
+        process.kill(state.pid, 'SIGTERM');
+
+        return state.pid;
+    }
+}
+
+// content types of the files served by the DevServer
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.wasm': 'application/wasm'
+};
+
+// encode a websocket frame sent by a server (servers do not mask frames)
+function webSocketFrame (opcode, payload) {
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+        header.writeUInt32BE(payload.length % 0x100000000, 6);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+// accept the websocket upgrade request on socket, answering pings and
+// close frames, the messages of the client are ignored
+// returns the socket or null when the request is not a websocket handshake
+function acceptWebSocket (request, socket) {
+    const key = request.headers['sec-websocket-key'];
+
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+    let buffer = Buffer.alloc(0);
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    socket.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+
+        for (;;) {
+            if (buffer.length < 2) {
+                return;
+            }
+
+            const opcode = buffer[0] & 0x0f;
+            const masked = buffer[1] & 0x80;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                length = buffer.length >= 4 ? buffer.readUInt16BE(2) : Infinity;
+                offset = 4;
+            } else if (length === 127) {
+                length = buffer.length >= 10 ? buffer.readUInt32BE(6) : Infinity;
+                offset = 10;
+            }
+
+            const payloadOffset = offset + (masked ? 4 : 0);
+
+            if (buffer.length < payloadOffset + length) {
+                return;
+            }
+
+            const payload = Buffer.from(buffer.slice(payloadOffset, payloadOffset + length));
+
+            if (masked) {
+                payload.forEach((byte, i) => {
+                    payload[i] = byte ^ buffer[offset + (i % 4)];
+                });
+            }
+
+            buffer = buffer.slice(payloadOffset + length);
+
+            if (opcode === 0x8) {
+                socket.end(webSocketFrame(0x8, Buffer.alloc(0)));
+            } else if (opcode === 0x9) {
+                socket.write(webSocketFrame(0xa, payload));
+            }
+        }
+    });
+
+    return socket;
+}
+
+// the script injected into the html pages served by the DevServer: it
+// connects to the websocket, reloads the changed namespaces (or the page
+// for optimized builds) and stylesheets and shows compile errors and
+// warnings in a heads-up display
+const liveReloadClient = `\
+(function () {
+    var hud = null;
+
+    function escapeHtml (text) {
+        return String(text).replace(/[&<>"]/g, function (c) {
+            return {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'}[c];
+        });
+    }
+
+    function problemHtml (label, color, problem) {
+        var location = problem.file ? problem.file + ':' + problem.line + ':' + problem.column : '';
+        var excerpt = (problem.excerpt || []).map(function (line) {
+            return (line.line === problem.line ? '> ' : '  ') + line.line + ' | ' + escapeHtml(line.text);
+        }).join('\\n');
+
+        return '<div style="margin-bottom: 1em"><b style="color: ' + color + '">' + label + '</b> ' +
+            escapeHtml(problem.message) + '<br>' + escapeHtml(location) +
+            (excerpt ? '<pre style="margin: 0.5em 0">' + excerpt + '</pre>' : '') + '</div>';
+    }
+
+    function showHud (html) {
+        if (!hud) {
+            hud = document.createElement('div');
+            hud.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; max-height: 50%; overflow: auto; z-index: 2147483647;' +
+                'padding: 1em; background: rgba(20, 20, 20, 0.92); color: #eee; font: 13px/1.4 monospace; white-space: pre-wrap';
+            hud.title = 'click to close';
+            hud.onclick = hideHud;
+        }
+
+        hud.innerHTML = html;
+        document.body.appendChild(hud);
+    }
+
+    function hideHud () {
+        if (hud && hud.parentNode) {
+            hud.parentNode.removeChild(hud);
+        }
+    }
+
+    function namespacePath (ns) {
+        if (goog.debugLoader_) {
+            return goog.debugLoader_.getPathFromDeps_(ns);
+        }
+
+        return goog.dependencies_ && goog.dependencies_.nameToPath[ns];
+    }
+
+    // reload the namespaces one after another, skipping the ones this page
+    // has not loaded
+    function reloadNamespaces (namespaces, done) {
+        var pending = namespaces.slice();
+
+        // allow goog.provide of namespaces that are loaded already
+        goog.isProvided_ = function () { return false; };
+
+        (function next () {
+            var ns = pending.shift();
+            var file = ns && namespacePath(ns);
+
+            if (!ns) {
+                done();
+            } else if (!file) {
+                next();
+            } else {
+                var script = document.createElement('script');
+
+                script.src = goog.basePath + file + '?reload=' + Date.now();
+                script.onload = script.onerror = function () {
+                    script.parentNode.removeChild(script);
+                    next();
+                };
+                document.head.appendChild(script);
+            }
+        })();
+    }
+
+    function reloadStylesheets (files) {
+        Array.prototype.forEach.call(document.querySelectorAll('link[rel=stylesheet]'), function (link) {
+            var href = link.href.replace(/[?#].*$/, '');
+
+            if (files.some(function (file) { return href.slice(-file.length - 1) === '/' + file; })) {
+                link.href = href + '?reload=' + Date.now();
+            }
+        });
+    }
+
+    function onCompile (message) {
+        var warnings = message.warnings.map(function (w) { return problemHtml('WARNING', '#fc3', w); }).join('');
+
+        if (message.status !== 'ok') {
+            showHud('<b>build ' + escapeHtml(message.build) + ' failed</b><br><br>' + problemHtml('ERROR', '#f55', message.error) + warnings);
+            return;
+        }
+
+        if (warnings) {
+            showHud('<b>build ' + escapeHtml(message.build) + ' compiled with warnings</b><br><br>' + warnings);
+        } else {
+            hideHud();
+        }
+
+        if (!message.namespaces.length) {
+            return;
+        }
+
+        if (message.reload === 'page' || !window.goog || !goog.basePath) {
+            location.reload();
+            return;
+        }
+
+        reloadNamespaces(message.namespaces, function () {
+            window.dispatchEvent(new CustomEvent('cljsbuild-reload', {detail: {build: message.build, namespaces: message.namespaces}}));
+        });
+    }
+
+    function connect () {
+        var socket = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/_cljsbuild/ws');
+
+        socket.onmessage = function (event) {
+            var message = JSON.parse(event.data);
+
+            if (message.type === 'compile') {
+                onCompile(message);
+            } else if (message.type === 'css') {
+                reloadStylesheets(message.files);
+            }
+        };
+        // reconnect after restarting cljsbuild serve
+        socket.onclose = function () {
+            setTimeout(connect, 1000);
+        };
+    }
+
+    connect();
+})();
+`;
+
+/**
+ * A static file server for development that pushes messages, e.g. compile
+ * results, to the browsers over a websocket.
+ *
+ * Files are looked up in the root directory, then in the output
+ * directories. Unknown paths without an extension get the fallback page so
+ * that single page apps can use client side routing. Html pages get the
+ * live reload client injected.
+ *
+ * params:
+ *  - root .. directory of the static files
+ *  - outputs .. directories and files served relative to projectDir when
+ *    they are not in root, e.g. the targets and output dirs of the builds
+ *  - projectDir .. the directory the outputs are relative to
+ *  - fallback .. page in root served for unknown paths, or null
+ *  - host, port .. where to listen, port 0 picks a free port
+ */
+class DevServer {
+
+    constructor (params) {
+        this._root = path.resolve(params.root);
+        this._outputs = (params.outputs || []).map(output => path.resolve(params.projectDir, output));
+        this._projectDir = path.resolve(params.projectDir);
+        this._fallback = params.fallback;
+        this._host = params.host;
+        this._port = params.port;
+        this._sockets = new Set();
+        this._server = null;
+    }
+
+    // the file for a request path or null, paths never leave root or the
+    // outputs
+    _findFile (pathname) {
+        const relative = path.normalize(`/${pathname}`).slice(1);
+        const isInside = (file, dir) => file === dir || file.startsWith(dir + path.sep);
+        const withIndex = file => isDirectory(file) ? path.join(file, 'index.html') : file;
+        const inRoot = withIndex(path.join(this._root, relative));
+
+        if (isInside(inRoot, this._root) && fs.existsSync(inRoot)) {
+            return inRoot;
+        }
+
+        const inProject = withIndex(path.join(this._projectDir, relative));
+
+        if (this._outputs.some(output => isInside(inProject, output)) && fs.existsSync(inProject)) {
+            return inProject;
+        }
+
+        if (this._fallback && !path.extname(relative)) {
+            const fallback = path.join(this._root, this._fallback);
+
+            return fs.existsSync(fallback) ? fallback : null;
+        }
+
+        return null;
+    }
+
+    _handleRequest (request, response) {
+        const headers = {'cache-control': 'no-cache'};
+        let pathname;
+
+        try {
+            pathname = decodeURIComponent(url.parse(request.url).pathname);
+        } catch (e) {
+            response.writeHead(400, headers);
+            response.end();
+
+            return;
+        }
+
+        if (pathname === '/_cljsbuild/client.js') {
+            response.writeHead(200, Object.assign(headers, {'content-type': contentTypes['.js']}));
+            response.end(liveReloadClient);
+
+            return;
+        }
+
+        const file = this._findFile(pathname);
+
+        debug(`${request.method} ${request.url} ${file ? path.relative(this._projectDir, file) : 404}`);
+
+        if (!file || ['GET', 'HEAD'].indexOf(request.method) === -1) {
+            response.writeHead(file ? 405 : 404, Object.assign(headers, {'content-type': contentTypes['.txt']}));
+            response.end(file ? 'method not allowed' : `not found: ${pathname}`);
+
+            return;
+        }
+
+        const contentType = contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream';
+        // the output files are rewritten while compiling, so they may be
+        // gone by the time they are read
+        const fail = (e) => {
+            debug(`could not read ${file}: ${e.message}`);
+
+            if (response.headersSent) {
+                response.destroy();
+
+                return;
+            }
+
+            response.writeHead(e.code === 'ENOENT' ? 404 : 500, Object.assign(headers, {'content-type': contentTypes['.txt']}));
+            response.end(e.code === 'ENOENT' ? `not found: ${pathname}` : `could not read ${pathname}`);
+        };
+
+        if (request.method === 'HEAD') {
+            response.writeHead(200, Object.assign(headers, {'content-type': contentType}));
+            response.end();
+        } else if (path.extname(file).toLowerCase() === '.html') {
+            const script = '<script src="/_cljsbuild/client.js"></script>';
+
+            fs.readFile(file, 'utf8', (err, html) => {
+                if (err) {
+                    fail(err);
+
+                    return;
+                }
+
+                response.writeHead(200, Object.assign(headers, {'content-type': contentType}));
+                response.end(/<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${script}</body>`) : html + script);
+            });
+        } else {
+            const stream = fs.createReadStream(file);
+
+            stream.on('error', fail);
+            stream.on('open', () => {
+                response.writeHead(200, Object.assign(headers, {'content-type': contentType}));
+                stream.pipe(response);
+            });
+        }
+    }
+
+    _handleUpgrade (request, socket) {
+        if (url.parse(request.url).pathname !== '/_cljsbuild/ws' || !acceptWebSocket(request, socket)) {
+            socket.destroy();
+
+            return;
+        }
+
+        this._sockets.add(socket);
+        socket.on('close', () => this._sockets.delete(socket));
+        socket.on('error', () => this._sockets.delete(socket));
+    }
+
+    /**
+     * Start listening.
+     *
+     * Returns a promise resolving to the url of the server.
+     */
+    start () {
+        this._server = http.createServer((request, response) => this._handleRequest(request, response));
+        this._server.on('upgrade', (request, socket) => this._handleUpgrade(request, socket));
+
+        return new Promise((resolve, reject) => {
+            this._server.on('error', reject);
+            this._server.listen(this._port, this._host, () => {
+                resolve(`http://${this._host}:${this._server.address().port}/`);
+            });
+        });
+    }
+
+    /**
+     * Send message (a JSON value) to all connected browsers.
+     */
+    broadcast (message) {
+        const frame = webSocketFrame(0x1, Buffer.from(JSON.stringify(message)));
+
+        this._sockets.forEach(socket => socket.write(frame));
+    }
+
+    stop () {
+        this._sockets.forEach(socket => socket.destroy());
+
+        if (this._server) {
+            this._server.close();
+        }
+    }
+}
+
+/**
+ * Watch source paths and recompile builds once changes have settled.
+ *
+ * Builds are compiled with params.compile, a function taking the build
+ * and the list of changed files (empty for the initial compile) and
+ * returning a promise of the compile result.
+ *
+ * Emits 'change' (list of changed files), 'compile' (build id),
+ * 'result' (compile result of a build), 'error' (a failed recompile after a
+ * change) and 'stop' events.
+ */
+class Watcher extends EventEmitter {
+
+    constructor (params) {
+        super();
+
+        this._paths = params.paths;
+        this._builds = params.builds;
+        this._compile = params.compile;
+        this._debounce = params.debounce;
+        this._changedFiles = new Set();
+        this._timer = null;
+        this._compiling = false;
+        this._stopFunctions = [];
+    }
+
+    _isSourceFile (file) {
+        // skip editor backup and lock files
+        return /\.(cljs|cljc|clj|js)$/.test(file) && !/^\.#/.test(path.basename(file));
+    }
+
+    _onChange (file) {
+        if (!this._isSourceFile(file)) {
+            return;
+        }
+
+        this._changedFiles.add(file);
+
+        // a new change cancels the pending recompile
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => {
+            this._recompile().catch(e => this.emit('error', e));
+        }, this._debounce);
+    }
+
+    _recompile () {
+        if (this._compiling) {
+            // picked up when the current compile has finished
+            return Promise.resolve();
+        }
+
+        const files = Array.from(this._changedFiles);
+
+        this._changedFiles.clear();
+        this._compiling = true;
+        this.emit('change', files);
+
+        const compileAll = this._builds.reduce((previous, build) => {
+            return previous.then(() => {
+                this.emit('compile', build.id);
+
+                return this._compile(build, files);
+            }).then(result => this.emit('result', result));
+        }, Promise.resolve());
+
+        return compileAll.then(() => {
+            this._compiling = false;
+
+            if (this._changedFiles.size) {
+                return this._recompile();
+            }
+
+            return undefined;
+        }, (e) => {
+            // keep watching, the changes since are picked up by the next one
+            this._compiling = false;
+
+            throw e;
+        });
+    }
+
+    /**
+     * Compile all builds and start watching.
+     *
+     * Returns a promise resolving after the initial compile.
+     */
+    start () {
+        this._stopFunctions = this._paths.map((dir) => {
+            return watchDirectory(dir, file => this._onChange(file));
+        });
+
+        return this._recompile();
+    }
+
+    stop () {
+        clearTimeout(this._timer);
+        this._stopFunctions.forEach(stop => stop());
+        this.emit('stop');
+    }
+}
+
+/**
+ * Collect the results of a test run from the events the generated test
+ * runner prints as `cljsbuild/test <json>` lines.
+ */
+class TestResults {
+
+    constructor () {
+        this._testcases = [];
+        this._current = null;
+        this.summary = null;
+        this.unknownVars = [];
+        this.exitCode = null;
+    }
+
+    // the successful results of running no tests
+    static empty () {
+        const results = new TestResults();
+
+        results.summary = {test: 0, pass: 0, fail: 0, error: 0};
+        results.exitCode = 0;
+
+        return results;
+    }
+
+    add (event) {
+        if (event.type === 'begin-test-var') {
+            this._current = {ns: event.ns, name: event.name, start: Date.now(), failures: []};
+            this._testcases.push(this._current);
+        } else if (event.type === 'end-test-var') {
+            if (this._current) {
+                this._current.duration = Date.now() - this._current.start;
+            }
+
+            this._current = null;
+        } else if (event.type === 'fail' || event.type === 'error') {
+            // failures outside of a test var, e.g. in fixtures, are
+            // collected in one testcase per namespace
+            let testcase = this._current;
+
+            if (!testcase) {
+                testcase = lodash.find(this._testcases, {ns: event.ns, name: '(fixtures)'});
+
+                if (!testcase) {
+                    testcase = {ns: event.ns, name: '(fixtures)', failures: []};
+                    this._testcases.push(testcase);
+                }
+            }
+
+            testcase.failures.push(event);
+        } else if (event.type === 'summary') {
+            this.summary = event;
+        } else if (event.type === 'unknown-var') {
+            this.unknownVars.push(event.var);
+        }
+    }
+
+    isSuccessful () {
+        return this.exitCode === 0 &&
+            !!this.summary &&
+            this.summary.fail === 0 &&
+            this.summary.error === 0 &&
+            !this.unknownVars.length;
+    }
+
+    toJUnitXml () {
+        const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+        const count = (testcases, type) => testcases.filter(t => t.failures.some(f => f.type === type)).length;
+        const suites = lodash.map(lodash.groupBy(this._testcases, 'ns'), (testcases, ns) => {
+            return ['testsuite', {
+                name: ns,
+                tests: testcases.length,
+                failures: count(testcases, 'fail'),
+                errors: count(testcases, 'error'),
+                time: seconds(lodash.sumBy(testcases, 'duration'))
+            }, ...testcases.map((testcase) => {
+                return ['testcase', {classname: ns, name: testcase.name, time: seconds(testcase.duration)},
+                        ...testcase.failures.map((failure) => {
+                            const location = failure.file ? `\n${failure.file}:${failure.line}` : '';
+
+                            return [failure.type === 'fail' ? 'failure' : 'error',
+                                    {message: failure.message || ''},
+                                    `expected: ${failure.expected}\n  actual: ${failure.actual}${location}`];
+                        })];
+            })];
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + toXml(['testsuites', ...suites]) + '\n';
+    }
+}
+
+// render compile results, see `cljsbuild --reporter`
+// each reporter is a function of the result, whose warnings and error have
+// been annotated with source excerpts
+const compileReporters = {
+    text: (result) => {
+        const warnings = result.warnings.length ? `, ${result.warnings.length} warning(s)` : '';
+        const namespaces = result.namespaces.length ? `, changed: ${result.namespaces.join(', ')}` : '';
+        // failures are shown with --quiet too
+        const logFailure = (...args) => writeLog('error', args);
+        const logProblem = (label, problem, write) => {
+            write(`  ${label}: ${problem.message}`);
+
+            if (problem.file) {
+                write(`    at ${problem.file}:${problem.line}:${problem.column}`);
+            }
+
+            formatSourceExcerpt(problem.excerpt, problem.line, problem.column).forEach(line => write(`    ${line}`));
+        };
+
+        if (result.status === 'ok') {
+            log(`build ${result.id} compiled in ${result.duration}ms${warnings}${namespaces}`);
+        } else {
+            logFailure(`build ${result.id} failed after ${result.duration}ms${warnings}`);
+            logProblem('ERROR', result.error, logFailure);
+        }
+
+        result.warnings.forEach(w => logProblem('WARNING', w, log));
+    },
+    // one JSON object per line on stdout
+    json: (result) => {
+        printJson({
+            type: 'compile',
+            build: result.id,
+            status: result.status,
+            duration: result.duration,
+            namespaces: result.namespaces,
+            warnings: result.warnings,
+            error: result.error || null,
+            size: result.size || null
+        });
+    }
+};
+
+// cljs repl environments, see `cljsbuild repl --env`
+//  - artifacts .. alternative dependencies one of which must be present
+//  - ns .. namespace providing repl-env
+//  - replEnv(config) .. clojure form creating the repl env
+//  - instructions(config) .. how to connect to the repl
+const replEnvs = {
+    browser: {
+        artifacts: [],
+        ns: 'cljs.repl.browser',
+        replEnv: config => `(cljs.repl.browser/repl-env :host ${toEdn(config.getConfig('browserReplHost'))} :port ${toEdn(config.getConfig('browserReplPort'))})`,
+        instructions: config => `open a page loading your build which calls (clojure.browser.repl/connect "http://${config.getConfig('browserReplHost')}:${config.getConfig('browserReplPort')}/repl")`
+    },
+    node: {
+        artifacts: [],
+        ns: 'cljs.repl.node',
+        replEnv: () => `(cljs.repl.node/repl-env)`,
+        instructions: () => 'the repl starts a node process, `node` must be on the PATH'
+    },
+    weasel: {
+        artifacts: ['weasel/weasel'],
+        ns: 'weasel.repl.websocket',
+        replEnv: config => `(weasel.repl.websocket/repl-env :ip ${toEdn(config.getConfig('weaselHost'))} :port ${toEdn(config.getConfig('weaselPort'))})`,
+        instructions: config => `open a page loading your build which calls (weasel.repl/connect "ws://${config.getConfig('weaselHost') === '0.0.0.0' ? 'localhost' : config.getConfig('weaselHost')}:${config.getConfig('weaselPort')}")`
+    }
+};
+
+/**
+ * Call the cljs compiler and start an nrepl server
+ */
+class ClojureScript {
+
+    constructor (params) {
+        this._maven = params.maven;
+        this._config = params.config;
+        // externs files generated for npm bundles by package name
+        this._npmExterns = {};
+    }
+
+    _getUserCljPath () {
+        return path.join(this._config.getConfig('tempdir'), 'user', 'user.clj');
+    }
+
+    // path of the build.clj of a single build or of the toplevel build.clj
+    // that runs the repls and loads the per-build files
+    _getBuildCljPath (build) {
+        if (build) {
+            return path.join(this._config.getConfig('tempdir'), 'builds', build.id, 'build.clj');
+        }
+
+        return path.join(this._config.getConfig('tempdir'), 'build.clj');
+    }
+
+    // path of the compile result the build.clj of a single build writes
+    _getBuildResultPath (build) {
+        return path.join(this._config.getConfig('tempdir'), 'builds', build.id, 'result.edn');
+    }
+
+    _getFakeProjectFilePath () {
+        return this._config.getConfig('fakeProjectFile');
+    }
+
+    _getNreplPortPath () {
+        return '.repl-port';
+    }
+
+    // return the first alternative whose artifact is in the dependencies
+    // throws a ConfigError if none is present
+    _findArtifact (alternatives, purpose) {
+        const coordinates = Object.keys(this._config.getDependencies()).map(dependencyCoordinate);
+        const found = alternatives.find(a => coordinates.indexOf(a.artifact) !== -1);
+
+        if (!found) {
+            throw new ConfigError(`${purpose} needs the dependency ${alternatives.map(a => JSON.stringify(a.artifact)).join(' or ')} in package.json cljsbuild.dependencies`);
+        }
+
+        return found;
+    }
+
+    // return the nrepl, piggieback and (with options.cider) cider namespaces
+    // to use for the configured dependencies
+    // throws a ConfigError if a required artifact is missing
+    _getNreplNamespaces (options) {
+        const find = (alternatives, purpose) => this._findArtifact(alternatives, purpose).ns;
+
+        return {
+            server: find([{artifact: 'nrepl/nrepl', ns: 'nrepl.server'},
+                          {artifact: 'org.clojure/tools.nrepl', ns: 'clojure.tools.nrepl.server'}], 'nrepl'),
+            piggieback: find([{artifact: 'cider/piggieback', ns: 'cider.piggieback'},
+                              {artifact: 'com.cemerick/piggieback', ns: 'cemerick.piggieback'}], 'nrepl'),
+            cider: (options || {}).cider ? find([{artifact: 'cider/cider-nrepl', ns: 'cider.nrepl'}], 'nrepl --cider') : undefined
+        };
+    }
+
+    // return the repl env named on the commandline, in cljsbuild.replEnv or
+    // the given default
+    // throws a ConfigError on unknown envs or missing dependencies
+    _getReplEnv (name, defaultName) {
+        const envName = name || this._config.getConfig('replEnv') || defaultName;
+        const env = replEnvs[envName];
+
+        if (!env) {
+            throw new ConfigError(`unknown repl env ${JSON.stringify(envName)}, available envs: ${Object.keys(replEnvs).join(', ')}`);
+        }
+
+        env.artifacts.forEach(artifact => this._findArtifact([{artifact}], `repl env ${envName}`));
+
+        return Object.assign({name: envName}, env);
+    }
+
+    // user.clj file autoloaded by clojure, defines start-repl to initiate a
+    // piggiback cljs repl in params.replEnv.
+    // Takes the same params as _createBuildClj
+    _createUserClj (params) {
+        const buffer = [];
+
+        if (params.usePiggieback) {
+            const namespaces = params.namespaces;
+            const replEnv = params.replEnv;
+
+            buffer.push(
+                `(require '${namespaces.piggieback})`,
+                `(require '${replEnv.ns})`,
+                ``,
+                `(defn start-repl []`,
+                `  (println ${toEdn(`starting ${replEnv.name} repl: ${replEnv.instructions(this._config)}`)})`,
+                `  (${namespaces.piggieback}/cljs-repl`,
+                `    ${replEnv.replEnv(this._config)}))`
+            );
+        }
+
+        const userCljPath = this._getUserCljPath();
+
+        info(`writing ${JSON.stringify(userCljPath)}`);
+        mkdirp.sync(path.dirname(this._config.resolvePath(userCljPath)));
+        fs.writeFileSync(this._config.resolvePath(userCljPath), buffer.join('\n'));
+    }
+
+    // translate a build and the compiler options of a build profile into
+    // cljs.build.api options
+    _getBuildOpts (build, profileName) {
+        const profileOptions = this._config.getProfile(profileName || 'dev');
+
+        // build specific options override the profile
+        const profile = Object.assign({}, profileOptions, build.options);
+        const optimizations = profile.optimizations || 'none';
+        const buildOpts = {
+            main: ednSymbol(build.main),
+            'output-to': build.target,
+            'output-dir': build.outputDir,
+            'asset-path': build.assetPath,
+            optimizations: ednKeyword(optimizations)
+        };
+
+        if (build.platform !== 'browser') {
+            buildOpts.target = ednKeyword(build.platform);
+        }
+
+        if (profile.sourceMap !== undefined) {
+            if (typeof profile.sourceMap === 'string') {
+                buildOpts['source-map'] = profile.sourceMap;
+            } else if (profile.sourceMap && optimizations !== 'none') {
+                // optimized builds need a filename for the source map
+                buildOpts['source-map'] = `${build.target}.map`;
+            } else {
+                buildOpts['source-map'] = !!profile.sourceMap;
+            }
+        }
+
+        if (profile.prettyPrint !== undefined) {
+            buildOpts['pretty-print'] = !!profile.prettyPrint;
+        }
+
+        if (profile.closureDefines) {
+            // closure-defines are keyed by the (string) name of the define
+            buildOpts['closure-defines'] = ednMap(lodash.toPairs(profile.closureDefines));
+        }
+
+        if (profile.externs) {
+            buildOpts.externs = profile.externs;
+        }
+
+        if (profile.foreignLibs) {
+            buildOpts['foreign-libs'] = profile.foreignLibs.map((lib) => {
+                return lodash.omitBy({
+                    file: lib.file,
+                    'file-min': lib.fileMin,
+                    provides: lib.provides,
+                    requires: lib.requires,
+                    'module-type': lib.moduleType && ednKeyword(lib.moduleType)
+                }, lodash.isUndefined);
+            });
+        }
+
+        this._addNpmDepsOpts(buildOpts, optimizations);
+
+        // verbatim cljs.build.api options
+        return Object.assign(
+            buildOpts,
+            this._config.getConfig('compilerOptions'),
+            profileOptions.compilerOptions,
+            build.options.compilerOptions
+        );
+    }
+
+    // write the externs of an npm bundle to the tempdir, returns its path
+    _writeNpmExterns (dependency) {
+        const fileName = path.join(this._config.getConfig('tempdir'), 'externs', `${dependency.name.replace(/[^\w.-]/g, '_')}.js`);
+        let properties;
+
+        try {
+            properties = readExportedProperties(this._config.resolvePath(dependency.dir, dependency.bundleMin || dependency.bundle));
+        } catch (e) {
+            warn(`could not load the bundle of ${dependency.name} to generate its externs, only declaring ${dependency.global}: ${e.message}`);
+        }
+
+        mkdirp.sync(this._config.resolvePath(path.dirname(fileName)));
+        fs.writeFileSync(this._config.resolvePath(fileName), generateExterns(dependency.global, properties));
+
+        return fileName;
+    }
+
+    // add the cljsbuild.npmDeps to buildOpts: packages from node_modules as
+    // :npm-deps (npm has installed them already) and bundles as foreign libs
+    // with externs for optimized builds, so that both can be required by
+    // their package name, e.g. (:require ["react" :as react])
+    _addNpmDepsOpts (buildOpts, optimizations) {
+        const npmDeps = this._config.getNpmDeps();
+        const modules = npmDeps.filter(dependency => !dependency.bundle);
+        const bundles = npmDeps.filter(dependency => dependency.bundle);
+
+        if (modules.length) {
+            buildOpts['npm-deps'] = ednMap(modules.map(dependency => [dependency.name, dependency.version]));
+            buildOpts['install-deps'] = false;
+        }
+
+        if (!bundles.length) {
+            return;
+        }
+
+        buildOpts['foreign-libs'] = (buildOpts['foreign-libs'] || []).concat(bundles.map((dependency) => {
+            return lodash.omitBy({
+                file: path.join(dependency.dir, dependency.bundle),
+                'file-min': dependency.bundleMin && path.join(dependency.dir, dependency.bundleMin),
+                provides: dependency.provides,
+                requires: dependency.requires.length ? dependency.requires : undefined,
+                'global-exports': ednMap(dependency.provides.map(name => [ednSymbol(name), ednSymbol(dependency.global)]))
+            }, lodash.isUndefined);
+        }));
+
+        if (optimizations !== 'none') {
+            buildOpts.externs = (buildOpts.externs || []).concat(bundles.map((dependency) => {
+                this._npmExterns[dependency.name] = this._npmExterns[dependency.name] || this._writeNpmExterns(dependency);
+
+                return this._npmExterns[dependency.name];
+            }));
+        }
+    }
+
+    // the compile-build function of the generated build.clj files, takes a
+    // compile request (see CompilerProcess) and returns its result
+    _getCompileBuildClj () {
+        return [
+            `(require 'cljs.build.api)`,
+            `(require 'cljs.analyzer)`,
+            `(require 'cljs.env)`,
+            `(require 'clojure.edn)`,
+            `(require 'clojure.java.io)`,
+            ``,
+            `;; keep the compiler env between compiles for incremental builds`,
+            `(def compiler-envs (atom {}))`,
+            ``,
+            `(defn compiler-env [id opts]`,
+            `  (let [k [id opts]]`,
+            `    (or (get @compiler-envs k)`,
+            `        (get (swap! compiler-envs assoc k (cljs.env/default-compiler-env opts)) k))))`,
+            ``,
+            `(defn file-namespace [file]`,
+            `  (try (some-> (cljs.analyzer/parse-ns (clojure.java.io/file file)) :ns str)`,
+            `       (catch Throwable _ nil)))`,
+            ``,
+            `(defn error-location [e]`,
+            `  (or (some (fn [cause]`,
+            `              (let [{:keys [file line column]} (ex-data cause)]`,
+            `                (when line {:file (some-> file str) :line line :column column})))`,
+            `            (take-while some? (iterate #(.getCause %) e)))`,
+            `      {}))`,
+            ``,
+            `(defn compile-build [{:keys [id src opts files]}]`,
+            `  (let [env (compiler-env id opts)`,
+            `        warnings (atom [])`,
+            `        collect-warning (fn [warning-type env extra]`,
+            `                          (when (warning-type cljs.analyzer/*cljs-warnings*)`,
+            `                            (swap! warnings conj {:type warning-type`,
+            `                                                  :message (cljs.analyzer/error-message warning-type extra)`,
+            `                                                  :file (some-> cljs.analyzer/*cljs-file* str)`,
+            `                                                  :line (:line env)`,
+            `                                                  :column (:column env)})))`,
+            `        opts (assoc opts :warning-handlers [collect-warning])`,
+            `        start (System/currentTimeMillis)`,
+            `        result (try`,
+            `                 (cljs.build.api/build (if (string? src) src (apply cljs.build.api/inputs src)) opts env)`,
+            `                 {:status :ok}`,
+            `                 (catch Throwable e`,
+            `                   (merge {:status :error :message (str (.getMessage e))} (error-location e))))]`,
+            `    (assoc result`,
+            `           :id id`,
+            `           :duration (- (System/currentTimeMillis) start)`,
+            `           :namespaces (vec (distinct (keep file-namespace files)))`,
+            `           :warnings @warnings)))`
+        ];
+    }
+
+    // create a build.clj file that invokes the clojurescript compiler and/or
+    // starts a standalone repl or nrepl server
+    //
+    // params:
+    //  - build, request .. compile params.build with the compile request
+    //    and write its result to the build's result.edn
+    //  - loadBuilds .. load the build.clj files of the given builds
+    //  - compilerServer .. compile builds on request, see CompilerProcess
+    //  - useRepl .. start a cljs repl in params.replEnv watching params.build
+    //  - useNrepl .. start an nrepl server
+    //
+    // returns the path of the written file
+    _createBuildClj (params) {
+        const buffer = [];
+
+        // cljs.build.api, see _buildOnce
+        if (params.request) {
+            buffer.push(
+                `(println "compiling build" ${toEdn(params.build.id)})`,
+                `(spit ${toEdn(this._getBuildResultPath(params.build))}`,
+                // quoted, so that symbols are not evaluated
+                `      (pr-str (compile-build '${toEdn(params.request)})))`
+            );
+        }
+
+        // run several per-build build.clj files in one jvm
+        if (params.loadBuilds) {
+            const paths = toEdn(params.loadBuilds.map(build => this._getBuildCljPath(build)));
+
+            buffer.push(
+                ...this._getCompileBuildClj(),
+                ``,
+                `(run! load-file ${paths})`
+            );
+        }
+
+        // compile builds on request, see CompilerProcess
+        if (params.compilerServer) {
+            buffer.push(
+                ...this._getCompileBuildClj(),
+                ``,
+                `(println "cljsbuild/ready")`,
+                `(loop []`,
+                `  (when-let [line (read-line)]`,
+                `    (let [result (compile-build (clojure.edn/read-string line))]`,
+                `      (println (str "cljsbuild/result " (pr-str result)))`,
+                `      (flush)`,
+                `      (recur))))`
+            );
+        }
+
+        // console cljs.repl + watch
+        if (params.useRepl) {
+            buffer.push(
+                `(require 'cljs.repl)`,
+                `(require 'cljs.build.api)`,
+                `(require '${params.replEnv.ns})`,
+                ``,
+                `(cljs.repl/repl ${params.replEnv.replEnv(this._config)}`,
+                `  :watch ${params.build.src.length === 1 ? toEdn(params.build.src[0]) : `(cljs.build.api/inputs ${params.build.src.map(toEdn).join(' ')})`}`,
+                `  :output-dir ${toEdn(params.build.outputDir)}`,
+                `)`
+            );
+        }
+
+        // nrepl + cemerik/piggieback + middleware + .repl-port file + fake
+        // project.clj to let emacs (and other IDEs) pick up the repl port automatically
+        if (params.useNrepl) {
+            const namespaces = params.namespaces;
+            // middleware vars as 'namespace/name' strings
+            const middleware = params.middleware.map(name => ednSymbolName(name, 'symbol'));
+
+            buffer.push(
+                `(require '[${namespaces.server} :as server])`,
+                `(require '[${namespaces.piggieback} :as pback])`,
+                ...(namespaces.cider ? [`(require '${namespaces.cider})`] : []),
+                ...lodash.uniq(middleware.map(name => name.split('/')[0])).map(ns => `(require '${ns})`),
+                ``,
+                `(let [conn (server/start-server`,
+                `             :port ${toEdn(params.port)}`,
+                `             :bind ${toEdn(params.bind)}`,
+                `             :handler (apply server/default-handler`,
+                `                             #'pback/wrap-cljs-repl`,
+                `                             (concat`,
+                ...(namespaces.cider ? [
+                    `                              ;; https://github.com/clojure-emacs/cider-nrepl/blob/v0.12.0/src/cider/nrepl.clj`,
+                    `                              (map resolve ${namespaces.cider}/cider-middleware)`
+                ] : []),
+                `                              [${middleware.map(name => `#'${name}`).join(' ')}])`,
+                `                      )`,
+                `           )`,
+                `     ]`,
+                `  ;; repl-port file picked up by emacs-cider (and other IDEs?)`,
+                `  (spit ${toEdn(this._getNreplPortPath())} (:port conn))`
+            );
+
+            if (params.createFakeProjectFile) {
+                buffer.push(
+                    `  ;; fake project.clj file to make emacs-cider (and other IDEs?) recognize our clojurescript project root`,
+                    `  (spit ${toEdn(this._getFakeProjectFilePath())} "")`
+                );
+            }
+
+            buffer.push(
+                ``,
+                `  (println "nrepl server listening on" ${toEdn(params.bind)} "port" (:port conn))`,
+                `)`
+            );
+        }
+
+        const buildCljPath = this._getBuildCljPath(params.request && params.build);
+
+        info(`writing ${JSON.stringify(buildCljPath)}`);
+        mkdirp.sync(path.dirname(this._config.resolvePath(buildCljPath)));
+        fs.writeFileSync(this._config.resolvePath(buildCljPath), buffer.join('\n'));
+
+        return buildCljPath;
+    }
+
+    // return a promise of the classpath for compiling builds
+    _getClasspath (builds) {
+        return this._maven.getClasspath().then((classpath) => {
+            return [classpath,
+                    // the directory containing user.clj
+                    path.dirname(this._getUserCljPath()),
+                    ...lodash.uniq(lodash.flatMap(builds, b => b.src).concat(this._config.getImportedSourcePaths()))].join(':');
+        });
+    }
+
+    // run the toplevel build.clj with the source paths of builds on the
+    // classpath
+    //
+    // options:
+    //  - interactive .. run a console repl, with rlwrap if available
+    //  - prefix .. prefix of the output lines, defaults to 'repl> '
+    //  - onSpawn, onLine .. see sh
+    //
+    // returns a promise resolving when the jvm exits, also when it has
+    // been stopped with SIGINT or SIGTERM
+    _runBuildClj (builds, options) {
+        const opts = options || {};
+        const rlwrap = opts.interactive && isRlwrapAvailable() ? 'rlwrap ' : '';
+        const buildClj = this._getBuildCljPath();
+
+        return this._getClasspath(builds).then((classpath) => {
+            return sh(`${rlwrap}java -cp ${classpath} clojure.main ${buildClj}`, Object.assign({
+                cwd: this._config.getProjectDir(),
+                onSpawn: opts.onSpawn,
+                onLine: opts.onLine
+            }, opts.interactive ? {interactive: true} : {prefix: opts.prefix || 'repl> '}));
+        }).catch((e) => {
+            if (!e.signal) {
+                throw e;
             }
-        }).catch(logErrorAndExit);
+        });
     }
 
     /**
-     * Update the cljs dependencies to their newest versions
-     *
-     * Options:
-     *  - releasesOnly .. not use alpha, beta, rc versions
-     *  - dryRun .. do not write the new versions to package.json, just print it
+     * Return a promise of the java classpath of the builds with the given
+     * ids (all builds when empty), resolving the maven dependencies.
+     * Source paths are relative to the project directory.
      */
-    updateDependencies (options) {
-        const current = this.getConfig('dependencies');
-        const packageNames = Object.keys(current);
+    getClasspath (ids) {
+        return this._getClasspath(this._config.getBuilds(ids));
+    }
 
-        this._findPackageVersions(packageNames, options.releasesOnly).then((fetched) => {
-            const updated = Object.assign(
-                {},
-                ...packageNames.filter((packageName) => {
-                    const fetchedVersion = fetched[packageName];
-                    const currentVersion = current[packageName];
-                    const isUpdated = fetchedVersion && fetchedVersion !== currentVersion;
+    _getCompileServer () {
+        // keep the socket path short, relative to the current directory
+        return new CompileServer({tempdir: path.relative('.', this._config.resolvePath(this._config.getConfig('tempdir'))) || '.'});
+    }
 
-                    return isUpdated;
-                }).map((packageName) => {
-                    return {[packageName]: fetched[packageName]};
-                })
-            );
+    // return a promise of the compile server if one is running for the
+    // current classpath, of null otherwise
+    _getRunningServer () {
+        const server = this._getCompileServer();
+        const state = server.getState();
 
-            if (!Object.keys(updated).length) {
-                log('no updates found');
-                return;
+        if (!state) {
+            return Promise.resolve(null);
+        }
+
+        return this._getClasspath(this._config.getBuilds()).then((classpath) => {
+            if (state.classpath !== classpath) {
+                warn('the classpath has changed since the compile server was started, restart it with "cljsbuild server stop && cljsbuild server"');
+
+                return null;
             }
 
-            if (options.dryRun) {
-                log('would update the following dependencies in package.json:');
-            } else {
-                log('updating package.json with new cljs versions:');
+            return server;
+        });
+    }
+
+    // the cljs.build.api/build call of build as a CompilerProcess request
+    _getCompileRequest (build, profile) {
+        return {id: build.id, src: build.src, opts: this._getBuildOpts(build, profile)};
+    }
+
+    // start a compiler process or, with options.useServer, connect to a
+    // running compile server, returns a promise of the compiler
+    _startCompiler (builds, options) {
+        const runningServer = (options || {}).useServer ? this._getRunningServer() : Promise.resolve(null);
+
+        return runningServer.then((server) => {
+            if (server) {
+                info('using the compile server');
+
+                return server.connect();
             }
 
-            log(asTable(Object.keys(updated).map((packageName) => {
-                return [
-                    '',
-                    packageName,
-                    current[packageName],
-                    '=>',
-                    fetched[packageName]
-                ];
-            })));
+            return this._getClasspath(builds).then((classpath) => {
+                this._createBuildClj({compilerServer: true});
 
-            if (!options.dryRun) {
-                this._updatePackageJson(['cljsbuild'], {
-                    dependencies: Object.assign({}, current, updated)
+                const compiler = new CompilerProcess({
+                    command: 'java',
+                    args: ['-cp', classpath, 'clojure.main', this._getBuildCljPath()],
+                    cwd: this._config.getProjectDir()
                 });
-                log('done');
+
+                return compiler.start().then(() => compiler);
+            });
+        });
+    }
+
+    _getHooks () {
+        return new Hooks(this._config.getConfig('hooks'), this._config.getProjectDir());
+    }
+
+    // the compile request of build and what _finishCompile needs to know
+    // about it, takes the options of _compileBuild
+    _prepareCompile (build, options) {
+        const profile = options.profile || 'dev';
+        const request = Object.assign({files: options.files || []}, this._getCompileRequest(build, profile));
+        // compilerOptions may set optimizations as a string or a keyword
+        const optimized = (ednName(request.opts.optimizations) || request.opts.optimizations || 'none') !== 'none';
+        // the size report attributes the code with the source map
+        const temporarySourceMap = optimized && options.report && typeof request.opts['source-map'] !== 'string';
+
+        if (options.report && !optimized) {
+            warn(`build ${build.id} is not optimized, skipping the size report, use --production or a profile with optimizations`);
+        }
+
+        if (temporarySourceMap) {
+            request.opts['source-map'] = `${build.target}.map`;
+        }
+
+        return {
+            build,
+            request,
+            optimized,
+            temporarySourceMap,
+            budget: options.budgets ? this._config.getConfig('budgets')[build.id] : undefined,
+            metadata: {
+                buildId: build.id,
+                target: build.target,
+                outputDir: build.outputDir,
+                platform: build.platform,
+                profile
             }
-        }).catch(logErrorAndExit);
+        };
     }
-}
 
-/**
- * Invoke Maven using depedencies defined in the config.
- */
-class Maven {
+    // measure and report the result of a prepared compile and run the
+    // postBuild, onWatchRebuild or onBuildError hooks
+    // returns a promise of the annotated result
+    _finishCompile (compile, compileResult, options) {
+        const hooks = this._getHooks();
+        const build = compile.build;
+        const measured = compileResult.status === 'ok' && compile.optimized && (options.report || compile.budget);
+        const size = measured ? this._measureBuild(build, options.report && compile.request.opts['source-map'], compile.temporarySourceMap) : undefined;
+        const result = this._reportCompileResult(Object.assign({size}, compileResult), Object.assign({budget: compile.budget}, options));
+
+        if (size && size.namespaces) {
+            this._printSizeReport(build, size);
+        }
 
-    constructor (config) {
-        this._config = config;
+        const resultMetadata = Object.assign({}, compile.metadata, {
+            status: result.status,
+            duration: result.duration,
+            namespaces: result.namespaces,
+            warnings: result.warnings,
+            error: result.error && result.error.message
+        });
+
+        if (result.status !== 'ok') {
+            return hooks.run('onBuildError', resultMetadata).then(() => result);
+        }
+
+        return hooks.run('postBuild', resultMetadata).then(() => {
+            return options.rebuild ? hooks.run('onWatchRebuild', resultMetadata) : undefined;
+        }).then(() => result);
     }
 
-    // return a hash over the declared depdendencies of a project
-    _hashDepdendencies () {
-        // deterministically serialize the dependencies
-        const dependencies = this._config.getConfig('dependencies');
-        const dependencyList = [];
+    // compile build with compiler and run the hooks
+    //
+    // options:
+    //  - profile .. name of the build profile
+    //  - files .. changed files
+    //  - rebuild .. whether this is a rebuild in watch mode
+    //  - reporter .. name of the compile reporter
+    //  - warningsAsErrors .. fail the build if there are warnings
+    //  - report .. print a size report of optimized builds
+    //  - budgets .. fail optimized builds exceeding cljsbuild.budgets
+    //
+    // returns a promise of the compile result
+    _compileBuild (compiler, build, options) {
+        const compile = this._prepareCompile(build, options);
+
+        return this._getHooks().run('preBuild', compile.metadata).then(() => {
+            return compiler.compile(compile.request);
+        }).then(compileResult => this._finishCompile(compile, compileResult, options));
+    }
+
+    // compile builds in a new jvm which loads a build.clj for each build
+    // and exits, the preBuild hooks of all builds run before it starts
+    // takes the options of _compileBuild and returns a promise of the
+    // compile results
+    _buildOnce (builds, options) {
+        const hooks = this._getHooks();
+        const compiles = builds.map(build => this._prepareCompile(build, options));
+        let jvmError;
+
+        const preBuild = compiles.reduce((previous, compile) => {
+            return previous.then(() => hooks.run('preBuild', compile.metadata));
+        }, Promise.resolve());
+
+        return preBuild.then(() => {
+            compiles.forEach((compile) => {
+                removeFile(this._config.resolvePath(this._getBuildResultPath(compile.build)));
+                this._createBuildClj({build: compile.build, request: compile.request});
+            });
+            this._createBuildClj({loadBuilds: builds});
+
+            return this._runBuildClj(builds, {prefix: 'cljs> '}).catch((e) => {
+                jvmError = e;
+            });
+        }).then(() => {
+            return compiles.reduce((previous, compile) => {
+                return previous.then((results) => {
+                    const resultEdn = readFile(this._config.resolvePath(this._getBuildResultPath(compile.build)));
+                    const compileResult = resultEdn ? fromEdn(readEdn(resultEdn)[0]) : {
+                        id: compile.build.id,
+                        status: 'error',
+                        message: jvmError ? jvmError.message : 'the compiler did not compile the build',
+                        duration: 0,
+                        namespaces: [],
+                        warnings: []
+                    };
+
+                    return this._finishCompile(compile, compileResult, options).then(result => results.concat([result]));
+                });
+            }, Promise.resolve([]));
+        });
+    }
+
+    // the total size of an optimized build and, with a sourceMapFile, its
+    // size by namespace and library, removes a temporarySourceMap and its
+    // sourceMappingURL comment afterwards
+    _measureBuild (build, sourceMapFile, temporarySourceMap) {
+        const target = this._config.resolvePath(build.target);
+        let code = fs.readFileSync(target, 'utf8');
+        let sourceMap;
+
+        if (sourceMapFile) {
+            try {
+                sourceMap = JSON.parse(fs.readFileSync(this._config.resolvePath(sourceMapFile), 'utf8'));
+            } catch (e) {
+                warn(`could not read the source map of build ${build.id}, the size report only shows the total size: ${e.message}`);
+            }
+        }
+
+        if (temporarySourceMap) {
+            code = code.replace(/\n\/\/# sourceMappingURL=\S*\s*$/, '\n');
+            fs.writeFileSync(target, code);
+            removeFile(this._config.resolvePath(sourceMapFile));
+        }
+
+        if (!sourceMap) {
+            return {total: measure(code)};
+        }
+
+        try {
+            return getSizeReport(code, sourceMap, this._describeSizeSource(build, path.dirname(this._config.resolvePath(sourceMapFile))));
+        } catch (e) {
+            warn(`could not attribute the code of build ${build.id} to its sources: ${e.message}`);
+
+            return {total: measure(code)};
+        }
+    }
+
+    // returns a function of a source in the source map of build, returning
+    // its namespace and library: npm packages, clojurescript (cljs.* and
+    // clojure.*), closure-library (goog.*), project (the sources of the
+    // build) or the first part of the namespace of other dependencies
+    _describeSizeSource (build, sourceMapDir) {
+        const outputDir = this._config.resolvePath(build.outputDir);
+        const srcDirs = build.src.map(dir => this._config.resolvePath(dir));
+        const libraries = {cljs: 'clojurescript', clojure: 'clojurescript', goog: 'closure-library'};
+
+        return (source) => {
+            const file = path.resolve(sourceMapDir, source);
+            const relative = [outputDir, this._config.getProjectDir()].map(dir => path.relative(dir, file)).find(f => !f.startsWith('..') && !path.isAbsolute(f));
+            const name = (relative || source).split(path.sep).join('/');
+            const npmPackage = /(?:^|\/)node_modules\/((?:@[^/]+\/)?[^/]+)\/(.*)$/.exec(name);
+
+            if (npmPackage) {
+                return {namespace: `${npmPackage[1]}/${npmPackage[2]}`, library: npmPackage[1]};
+            }
+
+            const namespace = name.replace(/\.(cljs|cljc|clj|js)$/, '').split('/').join('.').replace(/_/g, '-');
+            const topLevel = namespace.split('.')[0];
+
+            if (libraries[topLevel]) {
+                return {namespace, library: libraries[topLevel]};
+            }
+
+            if (relative && srcDirs.some(dir => fs.existsSync(path.join(dir, name)))) {
+                return {namespace, library: 'project'};
+            }
+
+            return {namespace, library: topLevel};
+        };
+    }
+
+    // print the libraries and the largest namespaces of a size report and
+    // write all of it to an html file in the tempdir
+    _printSizeReport (build, size) {
+        const file = path.join(this._config.getConfig('tempdir'), 'reports', `${build.id}.html`);
+        const shown = 20;
+        const rows = (columns, entries) => entries.map(entry => columns.map(key => entry[key]).concat([formatSize(entry.raw), formatSize(entry.gzip)]));
+
+        log(`size of build ${build.id}: ${formatSize(size.total.raw)}, ${formatSize(size.total.gzip)} gzip`);
+        log(asTable([['library', 'namespaces', 'raw', 'gzip'], ...rows(['name', 'namespaces'], size.libraries)]));
+        log('');
+        log(asTable([['namespace', 'library', 'raw', 'gzip'], ...rows(['name', 'library'], size.namespaces.slice(0, shown))]));
+
+        if (size.namespaces.length > shown) {
+            log(`... and ${size.namespaces.length - shown} smaller namespaces`);
+        }
+
+        mkdirp.sync(path.dirname(this._config.resolvePath(file)));
+        fs.writeFileSync(this._config.resolvePath(file), renderSizeReportHtml(build.id, size));
+        log(`size report written to ${file}`);
+    }
+
+    /**
+     * Compile builds.
+     *
+     * options:
+     *  - ids .. ids of the builds to compile, defaults to all builds
+     *  - profile .. name of the build profile, defaults to 'dev'
+     *  - useServer .. compile with the compile server if it is running
+     *  - reporter .. how to print results, 'text' (the default) or 'json'
+     *  - warningsAsErrors .. fail builds with warnings
+     *  - report .. print the size of optimized builds by namespace and
+     *    library and write it to an html file, the results have a size
+     *
+     * Optimized builds exceeding their cljsbuild.budgets fail.
+     *
+     * Returns a promise of the compile results of the builds (failed builds
+     * have the status 'error').
+     */
+    build (options) {
+        const opts = options || {};
+        const builds = this._config.getBuilds(opts.ids);
+
+        if (!compileReporters[opts.reporter || 'text']) {
+            throw new ConfigError(`unknown reporter ${JSON.stringify(opts.reporter)}, available reporters: ${Object.keys(compileReporters).join(', ')}`);
+        }
+
+        const compileOptions = {
+            profile: opts.profile,
+            reporter: opts.reporter,
+            warningsAsErrors: opts.warningsAsErrors,
+            report: opts.report,
+            budgets: true
+        };
+        const runningServer = opts.useServer ? this._getRunningServer() : Promise.resolve(null);
+
+        return runningServer.then((server) => {
+            if (!server) {
+                return this._buildOnce(builds, compileOptions);
+            }
+
+            info('using the compile server');
+
+            return server.connect().then((client) => {
+                const compileAll = builds.reduce((previous, build) => {
+                    return previous.then((results) => {
+                        return this._compileBuild(client, build, compileOptions).then(result => results.concat([result]));
+                    });
+                }, Promise.resolve([]));
+
+                return compileAll.then((results) => {
+                    client.stop();
+
+                    return results;
+                }, (e) => {
+                    client.stop();
+                    throw e;
+                });
+            });
+        });
+    }
+
+    /**
+     * Control the background compile server.
+     *
+     * options:
+     *  - action .. 'start' (the default), 'stop' or 'status'
+     *  - foreground .. run the server in this process
+     */
+    server (options) {
+        const server = this._getCompileServer();
+        const state = server.getState();
+        const action = (options || {}).action || 'start';
+
+        if (action === 'status') {
+            log(state ? `compile server running (pid ${state.pid}, socket ${state.socket})` : 'compile server not running');
+
+            return Promise.resolve();
+        }
+
+        if (action === 'stop') {
+            const pid = server.stop();
+
+            log(pid ? `stopped compile server (pid ${pid})` : 'compile server not running');
+
+            return Promise.resolve();
+        }
+
+        if (state) {
+            log(`compile server already running (pid ${state.pid})`);
+
+            return Promise.resolve();
+        }
+
+        if ((options || {}).foreground) {
+            return this._getClasspath(this._config.getBuilds()).then((classpath) => {
+                this._createBuildClj({compilerServer: true});
+
+                const compiler = new CompilerProcess({
+                    command: 'java',
+                    args: ['-cp', classpath, 'clojure.main', this._getBuildCljPath()],
+                    cwd: this._config.getProjectDir()
+                });
+
+                return compiler.start()
+                    .then(() => server.listen(compiler, classpath))
+                    .then(() => log(`compile server listening on ${server.getSocketPath()}`));
+            });
+        }
+
+        // compute the classpath before detaching to show maven errors
+        return this._getClasspath(this._config.getBuilds()).then(() => {
+            const logFd = fs.openSync(server.getLogPath(), 'a');
+            const verbosity = logVerbosity > 0 ? [`-${'v'.repeat(logVerbosity)}`] : [];
+            const child = childProcess.spawn(process.execPath, [
+                __filename, ...verbosity, 'server', 'start', '--foreground'
+            ], {detached: true, stdio: ['ignore', logFd, logFd]});
+
+            child.unref();
+            log(`started compile server (pid ${child.pid}), logging to ${server.getLogPath()}`);
+        });
+    }
+
+    // add source excerpts to the warnings and the error of a compile
+    // result, apply options.warningsAsErrors and options.budget and print it
+    // with options.reporter
+    // returns the annotated result
+    _reportCompileResult (compileResult, options) {
+        const opts = options || {};
+        const reporter = compileReporters[opts.reporter || 'text'];
+        const problem = (p) => {
+            return {
+                type: p.type,
+                message: p.message,
+                file: p.file || null,
+                line: p.line || null,
+                column: p.column || null,
+                excerpt: p.file ? readSourceExcerpt(this._config.resolvePath(p.file), p.line, 2) : []
+            };
+        };
+        const warnings = compileResult.warnings.map(problem);
+        const result = Object.assign(lodash.omit(compileResult, ['message', 'file', 'line', 'column']), {warnings});
+        const overBudget = opts.budget && compileResult.size ? checkBudget(compileResult.size, opts.budget) : [];
+
+        if (compileResult.status !== 'ok') {
+            result.error = problem(Object.assign({type: 'error'}, compileResult));
+        } else if (opts.warningsAsErrors && warnings.length) {
+            result.status = 'error';
+            result.error = problem({type: 'warnings-as-errors', message: `${warnings.length} warning(s) treated as errors`});
+        } else if (overBudget.length) {
+            result.status = 'error';
+            result.error = problem({type: 'budget', message: overBudget.join(', ')});
+        }
+
+        reporter(result);
+
+        return result;
+    }
+
+    /**
+     * Watch the source paths and recompile builds on changes.
+     *
+     * Keeps a single jvm running (or uses the compile server) and sends it
+     * a compile request after changes have settled for watchDebounce
+     * milliseconds.
+     * Takes the same options as build and returns a promise of the running
+     * Watcher, stopping it stops the compiler too.
+     */
+    watch (options) {
+        const builds = this._config.getBuilds((options || {}).ids);
+
+        return this._startCompiler(builds, {useServer: true}).then((compiler) => {
+            const watcher = new Watcher({
+                paths: lodash.uniq(lodash.flatMap(builds, b => b.src).concat(this._config.getConfig('watchPaths')))
+                    .map(dir => this._config.resolvePath(dir)),
+                builds,
+                compile: (build, files) => {
+                    return this._compileBuild(compiler, build, {
+                        profile: (options || {}).profile,
+                        files,
+                        rebuild: files.length > 0,
+                        reporter: (options || {}).reporter,
+                        warningsAsErrors: (options || {}).warningsAsErrors
+                    }).catch((e) => {
+                        // keep watching
+                        logError(e.message);
+                    });
+                },
+                debounce: this._config.getConfig('watchDebounce')
+            });
+
+            watcher.on('change', (files) => {
+                if (files.length) {
+                    info(`changed: ${files.map(file => path.relative(this._config.getProjectDir(), file)).join(', ')}`);
+                }
+            });
+            watcher.on('error', e => logError(e.message));
+            watcher.on('stop', () => compiler.stop());
+
+            return watcher.start().then(() => {
+                log('watching for changes');
+
+                return watcher;
+            });
+        });
+    }
+
+    /**
+     * Serve the static files and the builds, watch and recompile the builds
+     * and push the compile results and changed stylesheets to the browsers.
+     *
+     * Dev builds reload the changed namespaces, optimized builds the page.
+     * Compile errors and warnings are shown in a heads-up display.
+     *
+     * options:
+     *  - root .. directory of the static files, defaults to
+     *    cljsbuild.serveRoot
+     *  - port .. http port, defaults to cljsbuild.servePort
+     *  - host .. http host, defaults to cljsbuild.serveHost
+     *  - ids, profile, reporter, warningsAsErrors .. see build
+     *
+     * Returns a promise of the running Watcher, stopping it stops the
+     * server too.
+     */
+    serve (options) {
+        const opts = options || {};
+        const root = opts.root || this._config.getConfig('serveRoot');
+        const port = opts.port !== undefined ? Number(opts.port) : this._config.getConfig('servePort');
+        const builds = this._config.getBuilds(opts.ids);
+
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw new ConfigError(`invalid http port: ${JSON.stringify(opts.port)}`);
+        }
+
+        if (!isDirectory(this._config.resolvePath(root))) {
+            throw new ConfigError(`the directory to serve ${JSON.stringify(root)} does not exist`);
+        }
+
+        const server = new DevServer({
+            root: this._config.resolvePath(root),
+            outputs: lodash.flatMap(builds, build => [build.target, build.outputDir]),
+            projectDir: this._config.getProjectDir(),
+            fallback: this._config.getConfig('serveFallback'),
+            host: opts.host || this._config.getConfig('serveHost'),
+            port
+        });
+        // optimized builds cannot reload single namespaces
+        const reload = lodash.fromPairs(builds.map((build) => {
+            const profile = Object.assign({}, this._config.getProfile(opts.profile || 'dev'), build.options);
+
+            return [build.id, (profile.optimizations || 'none') === 'none' ? 'namespaces' : 'page'];
+        }));
+
+        return server.start().then((serverUrl) => {
+            log(`serving ${JSON.stringify(root)} on ${serverUrl}`);
+
+            const changedStylesheets = new Set();
+            let timer = null;
+            const stopWatchingStylesheets = watchDirectory(this._config.resolvePath(root), (file) => {
+                if (path.extname(file) !== '.css') {
+                    return;
+                }
+
+                changedStylesheets.add(path.relative(this._config.resolvePath(root), file).split(path.sep).join('/'));
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    server.broadcast({type: 'css', files: Array.from(changedStylesheets)});
+                    changedStylesheets.clear();
+                }, this._config.getConfig('watchDebounce'));
+            });
+
+            const stop = () => {
+                clearTimeout(timer);
+                stopWatchingStylesheets();
+                server.stop();
+            };
+
+            return this.watch(opts).then((watcher) => {
+                watcher.on('result', (result) => {
+                    // undefined when the compiler failed
+                    if (result) {
+                        server.broadcast({
+                            type: 'compile',
+                            build: result.id,
+                            status: result.status,
+                            namespaces: result.namespaces,
+                            warnings: result.warnings,
+                            error: result.error || null,
+                            reload: reload[result.id]
+                        });
+                    }
+                });
+                watcher.on('stop', stop);
+
+                return watcher;
+            }, (e) => {
+                stop();
+                throw e;
+            });
+        });
+    }
+
+    _getTestDir () {
+        return path.join(this._config.getConfig('tempdir'), 'test');
+    }
+
+    _getTestRunnerPath () {
+        return path.join(this._getTestDir(), 'src', 'cljsbuild', 'test_runner.cljs');
+    }
+
+    // the node build compiling the sources of all builds, the test sources
+    // and the generated test runner
+    _getTestBuild () {
+        const testDir = this._getTestDir();
+
+        return {
+            id: 'test',
+            main: 'cljsbuild.test-runner',
+            target: path.join(testDir, 'test-runner.js'),
+            outputDir: path.join(testDir, 'out'),
+            assetPath: 'out',
+            platform: 'nodejs',
+            src: lodash.uniq(lodash.flatMap(this._config.getBuilds(), b => b.src).concat(
+                this._config.getConfig('testSrc'),
+                path.dirname(path.dirname(this._getTestRunnerPath()))
+            )),
+            options: {}
+        };
+    }
+
+    // return the sorted namespaces ending in -test in cljsbuild.testSrc
+    _getTestNamespaces () {
+        return listFiles(this._config.resolvePath(this._config.getConfig('testSrc')))
+            .filter(file => /\.clj[sc]$/.test(file))
+            .map(readNamespace)
+            .filter(ns => ns && /-test$/.test(ns))
+            .sort();
+    }
+
+    // write the test runner requiring testNamespaces, the namespaces and
+    // vars to test are selected at runtime by a JSON argument
+    // the file is only written when its content changes to keep
+    // incremental compiles fast
+    _createTestRunner (testNamespaces) {
+        const requires = ['[cljs.test :as test]', '[clojure.string :as string]', ...testNamespaces.map(ns => `[${ns}]`)];
+        const buffer = [
+            `(ns cljsbuild.test-runner`,
+            `  (:require ${requires.join('\n            ')}))`,
+            ``,
+            `(enable-console-print!)`,
+            ``,
+            `;; test blocks and vars of all test namespaces`,
+            `(def test-namespaces`,
+            `  {${testNamespaces.map(ns => `${toEdn(ns)} {:block (fn [env] (test/test-ns-block env '${ns})) :vars (ns-interns '${ns})}`).join('\n   ')}})`,
+            ``,
+            `;; results are printed as cljsbuild/test lines for the junit report`,
+            `(defn emit [event]`,
+            `  (println (str "cljsbuild/test " (js/JSON.stringify (clj->js event)))))`,
+            ``,
+            `(defn current-var []`,
+            `  (some-> (test/get-current-env) :testing-vars first meta))`,
+            ``,
+            `(defn value-str [x]`,
+            `  (if (instance? js/Error x) (or (.-stack x) (str x)) (pr-str x)))`,
+            ``,
+            `(derive ::reporter ::test/default)`,
+            ``,
+            `(defn report-default [m]`,
+            `  ((get-method test/report [::test/default (:type m)]) m))`,
+            ``,
+            `(defn emit-failure [m]`,
+            `  (let [{:keys [ns name]} (current-var)]`,
+            `    (emit {:type (cljs.core/name (:type m))`,
+            `           :ns (str ns)`,
+            `           :name (str name)`,
+            `           :message (:message m)`,
+            `           :expected (value-str (:expected m))`,
+            `           :actual (value-str (:actual m))`,
+            `           :file (:file m)`,
+            `           :line (:line m)})))`,
+            ``,
+            `(defmethod test/report [::reporter :begin-test-var] [m]`,
+            `  (let [{:keys [ns name]} (meta (:var m))]`,
+            `    (emit {:type "begin-test-var" :ns (str ns) :name (str name)}))`,
+            `  (report-default m))`,
+            ``,
+            `(defmethod test/report [::reporter :end-test-var] [m]`,
+            `  (emit {:type "end-test-var"})`,
+            `  (report-default m))`,
+            ``,
+            `(defmethod test/report [::reporter :fail] [m]`,
+            `  (report-default m)`,
+            `  (emit-failure m))`,
+            ``,
+            `(defmethod test/report [::reporter :error] [m]`,
+            `  (report-default m)`,
+            `  (emit-failure m))`,
+            ``,
+            `(defmethod test/report [::reporter :end-run-tests] [m]`,
+            `  (report-default m)`,
+            `  (emit (assoc (select-keys m [:test :pass :fail :error]) :type "summary"))`,
+            `  (set! (.-exitCode js/process) (if (test/successful? m) 0 1)))`,
+            ``,
+            `(defn run [{:keys [namespaces vars]}]`,
+            `  (let [env (test/empty-env ::reporter)`,
+            `        selected (if (or (seq namespaces) (seq vars))`,
+            `                   (select-keys test-namespaces namespaces)`,
+            `                   test-namespaces)`,
+            `        selected-vars (keep (fn [v]`,
+            `                              (let [[ns var-name] (string/split v #"/" 2)]`,
+            `                                (or (get-in test-namespaces [ns :vars (symbol var-name)])`,
+            `                                    (emit {:type "unknown-var" :var v}))))`,
+            `                            vars)]`,
+            `    (test/set-env! env)`,
+            `    (test/run-block`,
+            `      (concat`,
+            `        (mapcat (fn [[_ {:keys [block]}]] (block env)) selected)`,
+            `        (test/test-vars-block selected-vars)`,
+            `        [(fn [] (test/report (assoc (:report-counters (test/get-current-env)) :type :summary)))`,
+            `         (fn [] (test/report (assoc (:report-counters (test/get-current-env)) :type :end-run-tests)))]))))`,
+            ``,
+            `(defn -main [selection]`,
+            `  (run (js->clj (js/JSON.parse (or selection "{}")) :keywordize-keys true)))`,
+            ``,
+            `(set! *main-cli-fn* -main)`,
+            ``
+        ];
+        const runnerPath = this._config.resolvePath(this._getTestRunnerPath());
+        const content = buffer.join('\n');
+
+        if (readFile(runnerPath) !== content) {
+            info(`writing ${JSON.stringify(runnerPath)}`);
+            mkdirp.sync(path.dirname(runnerPath));
+            fs.writeFileSync(runnerPath, content);
+        }
+    }
 
-        Object.keys(dependencies).forEach((name) => {
-            dependencyList.push([name, dependencies[name]]);
-        });
+    // return the test namespaces depending (transitively) on one of the
+    // changed namespaces, null if the dependencies are unknown
+    _getAffectedTestNamespaces (build, changedNamespaces, testNamespaces) {
+        const graph = readCljsDeps(this._config.resolvePath(build.outputDir));
 
-        dependencyList.sort((a,b) => {
-            const x = a[0];
-            const y = b[0];
+        if (!graph || !changedNamespaces.length) {
+            return null;
+        }
 
-            if (x < y) {
-                return -1;
-            }
-            if (y > x) {
-                return 1;
-            }
+        const dependents = {};
 
-            return 0;
+        lodash.forEach(graph, (requires, ns) => {
+            requires.forEach((required) => {
+                (dependents[required] = dependents[required] || []).push(ns);
+            });
         });
 
-        const dependencyString = dependencyList.map(d => `${d[0]}${d[1]}`).join('');
+        const affected = new Set();
+        const visit = (ns) => {
+            if (!affected.has(ns)) {
+                affected.add(ns);
+                (dependents[ns] || []).forEach(visit);
+            }
+        };
+
+        changedNamespaces.map(mungeNamespace).forEach(visit);
 
-        // hash them
-        return crypto.createHash('sha1').update(dependencyString).digest().toString('hex');;
+        return testNamespaces.filter(ns => affected.has(mungeNamespace(ns)));
     }
 
-    // return the path of the generated pom.xml which drives maven
-    _getPomXmlPath () {
-        // do not clutter the root directory
-        return path.resolve(path.join(this._config.getConfig('tempdir'), 'pom.xml'));
-    }
+    // run the compiled test runner with selection ({namespaces, vars}),
+    // returns a promise of the TestResults
+    _runTests (build, selection) {
+        const results = new TestResults();
 
-    createPomXml () {
-        const buffer = [];
+        return new Promise((resolve, reject) => {
+            const child = childProcess.spawn(process.execPath, [build.target, JSON.stringify(selection)], {
+                cwd: this._config.getProjectDir(),
+                stdio: ['ignore', 'pipe', 'inherit']
+            });
 
-        buffer.push('<project>');
-
-        buffer.push('<modelVersion>4.0.0</modelVersion>');
-
-        buffer.push('<groupId>org.clojars.YOUR-CLOJARS-USERNAME-HERE</groupId>',
-                    '<artifactId>JAR-NAME-HERE</artifactId>',
-                    '<version>JAR-VERSION-HERE</version>',
-                    '<name>JAR-NAME-HERE</name>',
-                    '<description>JAR-DESCRIPTION-HERE</description>',
-                    '<licenses>',
-                    '  <license>',
-                    '    <name>Eclipse Public License 1.0</name>',
-                    '    <url>http://opensource.org/licenses/eclipse-1.0.php</url>',
-                    '    <distribution>repo</distribution>',
-                    '  </license>',
-                    '</licenses>');
-
-        buffer.push('<repositories>',
-                    '  <repository>',
-                    '    <id>clojars</id>',
-                    '    <url>http://clojars.org/repo/</url>',
-                    '  </repository>',
-                    '</repositories>');
-
-        buffer.push('<dependencies>');
-
-        const dependencies = this._config.getConfig('dependencies');
-        Object.keys(dependencies).forEach((k) => {
-            const res = k.split('/');
-            const groupId = res[0];
-            const artifactId = res[1] || groupId;
-            const version = dependencies[k];
-
-            buffer.push('<dependency>',
-                        `  <groupId>${groupId}</groupId>`,
-                        `  <artifactId>${artifactId}</artifactId>`,
-                        `  <version>${version}</version>`,
-                        '</dependency>');
-        });
-
-        buffer.push('</dependencies>');
-        buffer.push('</project>');
-        buffer.push('');
+            trackChildProcess(child);
 
-        const pomXmlPath = this._getPomXmlPath();
+            readline.createInterface({input: child.stdout}).on('line', (line) => {
+                const match = line.match(/^cljsbuild\/test (.*)$/);
 
-        info(`writing ${JSON.stringify(pomXmlPath)}`);
-        fs.writeFileSync(pomXmlPath, buffer.join('\n'));
+                if (match) {
+                    results.add(JSON.parse(match[1]));
+                } else {
+                    log(line);
+                }
+            });
+
+            child.on('error', reject);
+            child.on('close', (code) => {
+                results.exitCode = code;
+                resolve(results);
+            });
+        });
     }
 
-    installDependencies () {
-        try {
-            this.createPomXml();
-            sh(`mvn install -f ${this._getPomXmlPath()}`);
-        } finally {
-            removeFile(this._getPomXmlPath());
+    /**
+     * Compile and run the tests in cljsbuild.testSrc.
+     *
+     * Test namespaces are the namespaces ending in -test. A generated
+     * runner requiring all of them is compiled for node together with the
+     * sources of all builds and runs the selected tests with cljs.test.
+     *
+     * options:
+     *  - profile .. name of the build profile, defaults to 'dev'
+     *  - namespaces .. run only the tests in these namespaces
+     *  - vars .. run only these test vars ('namespace/name')
+     *  - junit .. write a JUnit XML report to this file
+     *  - watch .. recompile on changes and rerun the affected tests
+     *  - reporter, warningsAsErrors .. see build
+     *
+     * Returns a promise of the TestResults, not successful when compiling
+     * or a test fails, or, with options.watch, of the running Watcher.
+     */
+    test (options) {
+        const opts = options || {};
+        const build = this._getTestBuild();
+        const testNamespaces = this._getTestNamespaces();
+        const selection = {namespaces: opts.namespaces || [], vars: opts.vars || []};
+
+        selection.namespaces.concat(selection.vars.map(v => v.split('/')[0])).forEach((ns) => {
+            if (testNamespaces.indexOf(ns) === -1) {
+                throw new ConfigError(`unknown test namespace ${JSON.stringify(ns)}, test namespaces: ${testNamespaces.join(', ') || 'none'}`);
+            }
+        });
+
+        if (!testNamespaces.length && !opts.watch) {
+            log(`no test namespaces (ending in -test) found in ${JSON.stringify(this._config.getConfig('testSrc'))}`);
+
+            return Promise.resolve(TestResults.empty());
         }
-    }
 
-    // compute, cache and return the projects classpath
-    // (installs depdendencies when missing)
-    getClasspath () {
-        const classpathValueFile = path.resolve(path.join(this._config.getConfig('tempdir'), 'classpath.value'));
-        const classpathHashFile = path.resolve(path.join(this._config.getConfig('tempdir'), 'classpath.hash'));
+        const compile = (compiler, files) => {
+            this._createTestRunner(this._getTestNamespaces());
 
-        const lastDependencyHash = readFile(classpathHashFile);
-        const currentDependencyHash = this._hashDepdendencies();
-        const cachedClasspath = readFile(classpathValueFile);
+            return compiler.compile(Object.assign({files}, this._getCompileRequest(build, opts.profile))).then((result) => {
+                return this._reportCompileResult(result, opts);
+            });
+        };
 
-        // use value from cache if not stale and the cache exists
-        if ((lastDependencyHash === currentDependencyHash) && cachedClasspath) {
-            info(`using cached classpath from ${classpathValueFile}`);
+        const runTests = (testSelection) => {
+            return this._runTests(build, testSelection).then((results) => {
+                if (!results.summary) {
+                    log(`the test runner exited with code ${results.exitCode} before the tests finished`);
+                }
 
-            return cachedClasspath;
-        }
+                results.unknownVars.forEach(v => log(`unknown test var: ${v}`));
 
-        try {
-            // compute the classpath
-            this.createPomXml();
-            sh(`mvn dependency:build-classpath -f=${this._getPomXmlPath()} -Dmdep.outputFile=${classpathValueFile}`);
+                if (opts.junit) {
+                    info(`writing ${JSON.stringify(opts.junit)}`);
+                    mkdirp.sync(path.dirname(opts.junit));
+                    fs.writeFileSync(opts.junit, results.toJUnitXml());
+                }
 
-            // cache the classpath
-            fs.writeFileSync(classpathHashFile, currentDependencyHash);
+                return results;
+            });
+        };
 
-            return fs.readFileSync(classpathValueFile).toString();
-        } finally {
-            removeFile(this._getPomXmlPath());
-        }
-    }
-}
+        // tests need the test sources on the classpath, so they do not use
+        // the compile server
+        return this._startCompiler([build]).then((compiler) => {
+            if (opts.watch) {
+                return this._watchTests(compiler, build, selection, compile, runTests);
+            }
 
-/**
- * Call the cljs compiler and start an nrepl server
- */
-class ClojureScript {
+            return compile(compiler, []).then((result) => {
+                compiler.stop();
 
-    constructor (params) {
-        this._maven = params.maven;
-        this._config = params.config;
-    }
+                // no tests have run, so the results are not successful
+                if (result.status !== 'ok') {
+                    return new TestResults();
+                }
 
-    _getUserCljPath () {
-        return path.join(this._config.getConfig('tempdir'), 'user', 'user.clj');
+                return runTests(selection);
+            }, (e) => {
+                compiler.stop();
+                throw e;
+            });
+        });
     }
 
-    _getBuildCljPath () {
-        return path.join(this._config.getConfig('tempdir'), 'build.clj');
-    }
+    // recompile the tests on changes and run the tests of selection that
+    // are affected by the changed namespaces
+    _watchTests (compiler, build, selection, compile, runTests) {
+        const watcher = new Watcher({
+            paths: lodash.uniq(build.src.concat(this._config.getConfig('watchPaths')))
+                .filter(dir => dir !== path.dirname(path.dirname(this._getTestRunnerPath())))
+                .map(dir => this._config.resolvePath(dir)),
+            builds: [build],
+            compile: (build, files) => {
+                return compile(compiler, files).then((result) => {
+                    if (result.status !== 'ok') {
+                        return result;
+                    }
+
+                    // null: run the whole selection
+                    const affected = files.length ? this._getAffectedTestNamespaces(build, result.namespaces, this._getTestNamespaces()) : null;
+                    const filters = selection.namespaces.length || selection.vars.length;
+                    const affectedSelection = !affected ? selection : {
+                        namespaces: filters ? lodash.intersection(selection.namespaces, affected) : affected,
+                        vars: selection.vars.filter(v => affected.indexOf(v.split('/')[0]) !== -1)
+                    };
+
+                    if (!affectedSelection.namespaces.length && !affectedSelection.vars.length && affected) {
+                        log('no tests affected by the changes');
+
+                        return result;
+                    }
+
+                    return runTests(affectedSelection).then(() => result);
+                }).catch((e) => {
+                    // keep watching
+                    logError(e.message);
+                });
+            },
+            debounce: this._config.getConfig('watchDebounce')
+        });
 
-    _getFakeProjectFilePath () {
-        return this._config.getConfig('fakeProjectFile');
-    }
+        watcher.on('change', (files) => {
+            if (files.length) {
+                info(`changed: ${files.map(file => path.relative(this._config.getProjectDir(), file)).join(', ')}`);
+            }
+        });
+        watcher.on('error', e => logError(e.message));
 
-    _getNreplPortPath () {
-        return '.repl-port';
+        return watcher.start().then(() => {
+            log('watching for changes');
+
+            return watcher;
+        });
     }
 
-    // user.clj file autoloaded by clojure, defines start-repl to initiate a
-    // piggiback+weasel cljs repl.
-    // Takes the same params as _createBuildClj
-    _createUserClj (params) {
-        const buffer = [];
+    /**
+     * Build and start a cljs repl watching the first build.
+     *
+     * options:
+     *  - env .. repl environment (browser, node or weasel), defaults to
+     *    cljsbuild.replEnv or browser
+     *
+     * Rejects with a BuildError when the build fails.
+     */
+    repl (options) {
+        const opts = options || {};
+        const replEnv = this._getReplEnv(opts.env, 'browser');
+        // the repl watches and serves the first build
+        const build = this._config.getBuilds()[0];
 
-        if (params.usePiggieback) {
-            buffer.push(
-                `(require 'cemerick.piggieback)`,
-                `(require 'weasel.repl.websocket)`,
-                ``,
-                `(defn start-repl []`,
-                `  (cemerick.piggieback/cljs-repl`,
-                `    (weasel.repl.websocket/repl-env :ip "0.0.0.0" :port 9001)))`
-            );
+        return this.build({ids: [build.id]}).then(checkBuildResults).then(() => {
+            log(`starting ${replEnv.name} repl: ${replEnv.instructions(this._config)}`);
+            this._createBuildClj({useRepl: true, replEnv, build});
+
+            return this._runBuildClj([build], {interactive: true});
+        });
+    }
+
+    /**
+     * Build and start an nrepl server with piggieback and a start-repl
+     * function starting a cljs repl.
+     *
+     * options:
+     *  - env .. start-repl environment (browser, node or weasel), defaults to
+     *    cljsbuild.replEnv or weasel
+     *  - cider .. add the cider-nrepl middleware
+     *  - port .. nrepl port, defaults to cljsbuild.replPort (0 for a random port)
+     *  - bind .. nrepl host, defaults to cljsbuild.replHost
+     *  - onStart .. called with {host, port, stop} once the server is
+     *    listening, stop() stops the server
+     *
+     * Returns a promise resolving when the server has stopped, rejects with
+     * a BuildError when a build fails.
+     */
+    nrepl (options) {
+        const opts = options || {};
+        const namespaces = this._getNreplNamespaces(opts);
+        const replEnv = this._getReplEnv(opts.env, 'weasel');
+        const port = opts.port !== undefined ? Number(opts.port) : this._config.getConfig('replPort');
+        const bind = opts.bind || this._config.getConfig('replHost');
+
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw new ConfigError(`invalid nrepl port: ${JSON.stringify(opts.port !== undefined ? opts.port : port)}`);
         }
 
-        const userCljPath = this._getUserCljPath();
+        const middleware = this._config.getConfig('nreplMiddleware');
 
-        info(`writing ${JSON.stringify(userCljPath)}`);
-        mkdirp.sync(path.dirname(userCljPath));
-        fs.writeFileSync(userCljPath, buffer.join('\n'));
-    }
+        // do not overwrite an existing (e.g. leiningen) project file
+        const createFakeProjectFile = !fs.existsSync(this._config.resolvePath(this._getFakeProjectFilePath()));
 
-    // create a build.clj file that invokes the clojurescript compiler and/or
-    // starts a standalone repl or nrepl server
-    _createBuildClj (params) {
-        const buffer = [];
+        return this.build().then(checkBuildResults).then(() => {
+            this._createUserClj({usePiggieback: true, namespaces, replEnv});
+            this._createBuildClj({
+                useNrepl: true,
+                namespaces,
+                port,
+                bind,
+                middleware,
+                createFakeProjectFile
+            });
 
-        // cljs.build.api
-        if (params.buildMethod) {
+            const cleanup = () => {
+                removeFile(this._config.resolvePath(this._getNreplPortPath()));
 
-            const buildOpts = {
-                main: `'${this._config.getConfig('main')}`,
-                'output-to': `"${this._config.getConfig('target')}"`,
-                'output-dir': `"${path.dirname(this._config.getConfig('target'))}"`,
-                'asset-path': `"${this._config.getConfig('assetPath')}"`
+                if (createFakeProjectFile) {
+                    removeFile(this._config.resolvePath(this._getFakeProjectFilePath()));
+                }
             };
 
-            buffer.push(
-                `(require 'cljs.build.api)`,
-                ``,
-                `(cljs.build.api/${params.buildMethod}`,
-                `  ${JSON.stringify(this._config.getConfig('src'))}`,
-                `  ${jsObjectToClj(buildOpts)}`,
-                `)`
-            );
-        }
+            let child;
 
-        // console cljs.repl + watch
-        if (params.useRepl) {
-            buffer.push(
-                `(require 'cljs.repl)`,
-                `(require 'cljs.build.api)`,
-                `(require 'cljs.repl.browser)`,
-                ``,
-                `(cljs.repl/repl (cljs.repl.browser/repl-env)`,
-                `  :watch ${JSON.stringify(this._config.getConfig('src'))}`,
-                `  :output-dir ${JSON.stringify(path.dirname(this._config.getConfig('target')))}`,
-                `)`
-            );
-        }
+            const stop = () => {
+                child.forwardedSignal = 'SIGTERM';
 
-        // nrepl + cemerik/piggieback + middleware + .repl-port file + fake
-        // project.clj to let emacs (and other IDEs) pick up the repl port automatically
-        if (params.useNrepl) {
-            buffer.push(
-                `(require '[clojure.tools.nrepl.server :as server])`,
-                `(require '[cemerick.piggieback :as pback])`,
-                `(require 'cider.nrepl)`, // TODO: add --cider option to nrepl task
-                ``,
-                `(let [conn (server/start-server`,
-                `             :handler (apply server/default-handler`,
-                `                             #'pback/wrap-cljs-repl`,
-                `                             ;; https://github.com/clojure-emacs/cider-nrepl/blob/v0.12.0/src/cider/nrepl.clj`,
-                `                             (map resolve cider.nrepl/cider-middleware)`,
-                `                      )`,
-                `           )`,
-                `     ]`,
-                `  ;; repl-port file picked up by emacs-cider (and other IDEs?)`,
-                `  (spit ${JSON.stringify(this._getNreplPortPath())} (:port conn))`,
-                `  ;; fake project.clj file to make emacs-cider (and other IDEs?) recognize our clojurescript project root`,
-                `  (spit ${JSON.stringify(this._getFakeProjectFilePath())} "")`,
-                ``,
-                `  (print "nrepl server listening on port" (:port conn))`,
-                `)`
-            );
-        }
+                try {
+                    process.kill(child.processGroup ? -child.pid : child.pid, 'SIGTERM');
+                } catch (e) {
+                    debug('could not stop the nrepl server', e.message);
+                }
+            };
 
-        const buildCljPath = this._getBuildCljPath();
+            const onLine = (line) => {
+                const match = /^nrepl server listening on (\S+) port (\d+)/.exec(line);
 
-        info(`writing ${JSON.stringify(buildCljPath)}`);
-        mkdirp.sync(path.dirname(buildCljPath));
-        fs.writeFileSync(buildCljPath, buffer.join('\n'));
+                if (match && opts.onStart) {
+                    opts.onStart({host: match[1], port: Number(match[2]), stop});
+                }
+            };
+
+            // runs until the server is stopped, e.g. with SIGINT
+            return this._runBuildClj(this._config.getBuilds(), {onSpawn: c => { child = c; }, onLine}).then(cleanup, (e) => {
+                cleanup();
+                throw e;
+            });
+        });
     }
+}
 
-    _runBuildClj (options) {
-        const rlwrap = (options || {}).useRlwrap && isRlwrapAvailable() ? 'rlwrap ' : '';
-        const classpath = [this._maven.getClasspath(),
-                           this._getUserCljPath(),
-                           this._config.getConfig('src')].join(':');
-        const buildClj = this._getBuildCljPath();
+/* node api */
 
-        sh(`${rlwrap}java -cp ${classpath} clojure.main ${buildClj}`);
-    }
+// the Config, Maven and ClojureScript instances of a project, checking
+// that the config is valid for command
+function createProject (options, command) {
+    const opts = options || {};
+    const config = new Config({projectDir: opts.projectDir, config: opts.config});
+    const maven = new Maven(config);
 
-    build () {
-        this._createBuildClj({buildMethod: 'build'});
-        this._runBuildClj();
-    }
+    config.validate(command);
 
-    watch () {
-        this._createBuildClj({buildMethod: 'watch'});
-        this._runBuildClj();
-    }
+    return {config, maven, cljs: new ClojureScript({maven, config})};
+}
+
+/**
+ * Compile the builds of a project.
+ *
+ * options:
+ *  - projectDir .. the project directory, defaults to the current directory
+ *  - config .. cljsbuild config to use instead of the one in package.json
+ *  - ids, profile, useServer, reporter, warningsAsErrors, report .. see
+ *    ClojureScript.build
+ *
+ * Returns a promise of the compile results, rejecting with a BuildError
+ * with the results when a build fails.
+ */
+function build (options) {
+    return Promise.resolve().then(() => createProject(options, 'build').cljs.build(options)).then(checkBuildResults);
+}
+
+/**
+ * Compile the builds of a project and recompile them on changes.
+ *
+ * Takes the options of build and returns a promise of the running Watcher,
+ * stop it with watcher.stop().
+ */
+function watch (options) {
+    return Promise.resolve().then(() => createProject(options, 'watch').cljs.watch(options));
+}
+
+/**
+ * Serve a project with live reload, see ClojureScript.serve.
+ *
+ * Takes the options of build and root, port and host. Returns a promise of
+ * the running Watcher, watcher.stop() stops the server too.
+ */
+function serve (options) {
+    return Promise.resolve().then(() => createProject(options, 'serve').cljs.serve(options));
+}
+
+/**
+ * Install the maven dependencies of a project.
+ *
+ * options:
+ *  - projectDir, config .. see build
+ *  - frozen .. reject when the dependencies differ from cljsbuild.lock
+ */
+function install (options) {
+    return Promise.resolve().then(() => createProject(options, 'install').maven.installDependencies({frozen: (options || {}).frozen}));
+}
+
+/**
+ * Return a promise of the java classpath of a project.
+ *
+ * options:
+ *  - projectDir, config .. see build
+ *  - ids .. include only the sources of these builds, defaults to all builds
+ */
+function classpath (options) {
+    return Promise.resolve().then(() => createProject(options, 'install').cljs.getClasspath((options || {}).ids));
+}
+
+/**
+ * Build a project and start an nrepl server.
+ *
+ * options:
+ *  - projectDir, config .. see build
+ *  - env, cider, port, bind .. see ClojureScript.nrepl
+ *
+ * Returns a promise resolving once the server is listening to {host, port,
+ * stop, exited}: stop() stops the server and exited is a promise resolving
+ * when it has stopped. Rejects when the server stops before listening.
+ */
+function startNrepl (options) {
+    return new Promise((resolve, reject) => {
+        let server = null;
+
+        const exited = createProject(options, 'nrepl').cljs.nrepl(Object.assign({}, options, {
+            onStart: (started) => {
+                server = Object.assign({}, started, {exited});
+                resolve(server);
+            }
+        }));
+
+        exited.then(() => {
+            if (!server) {
+                reject(new CommandError('the nrepl server stopped before listening'));
+            }
+        }, reject);
+    });
+}
 
-    repl () {
-        this.build();
-        this._createBuildClj({useRepl: true});
-        this._runBuildClj({useRlwrap: true});
+// value of a command line option,
+// neodoc returns a list for options shared by several usage patterns
+function getOption (args, name) {
+    return args[name] === undefined ? undefined : [].concat(args[name]).pop();
+}
+
+// return the name of the build profile selected on the commandline
+function getProfileName (args) {
+    if (args['--production']) {
+        return 'production';
     }
 
-    nrepl () {
-        this.build();
-        this._createBuildClj({useNrepl: true});
+    return getOption(args, '--profile') || 'dev';
+}
 
-        // cleanup tempfiles
-        process.on('SIGINT', () => process.exit());
-        process.on('exit', () => {
-            removeFile(this._getNreplPortPath());
-            removeFile(this._getFakeProjectFilePath());
-        });
+// return the name of the compile reporter selected on the commandline
+function getReporterName (args) {
+    const reporter = getOption(args, '--reporter') || 'text';
 
-        this._runBuildClj({});
+    if (!compileReporters[reporter]) {
+        logErrorAndExit(`unknown reporter ${JSON.stringify(reporter)}, available reporters: ${Object.keys(compileReporters).join(', ')}`);
     }
+
+    return reporter;
 }
 
+// run the command selected on the commandline, returns a promise
 function runCommand (args) {
-    const config = new Config();
-    const maven = new Maven(config);
-    const cljs = new ClojureScript({maven, config});
-
-    if (args.install) {
-        info('installing cljs depedencies via maven');
-        maven.installDependencies();
-    } else if (args.repl) {
-        info('starting cljs repl');
-        cljs.repl();
-    } else if (args.nrepl) {
-        info('starting nrepl server');
-        cljs.nrepl();
-    } else if (args.watch) {
-        info('starting file-watcher');
-        cljs.watch();
-    } else if (args.init) {
-        info('initializing cljs dependencies in package.json');
-        config.initConfig({
-            releasesOnly: args['--releases-only'],
-            cider: args['--cider'],
-            dryRun: args['--dry-run']
-        });
-    } else if (args.update) {
-        info('updating cljs dependencies configured in package.json');
-        config.updateDependencies({
-            releasesOnly: args['--releases-only'],
-            cider: args['--cider'],
-            dryRun: args['--dry-run']
+    // stop watching (and the compiler) on ctrl-c
+    const exitOnSignal = () => ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit()));
+
+    return Promise.resolve().then(() => {
+        const config = new Config();
+        const maven = new Maven(config);
+        const cljs = new ClojureScript({maven, config});
+        const profile = getProfileName(args);
+        const reporter = getReporterName(args);
+        const warningsAsErrors = args['--warnings-as-errors'];
+        const command = Object.keys(requiredConfigKeys).concat('init', 'config', 'new').find(name => args[name]) || 'build';
+
+        // new projects may not have a package.json yet
+        if (command !== 'new') {
+            config.validate(command);
+        }
+
+        if (args.new) {
+            info('creating a new project');
+
+            return config.newProject({
+                namespace: args['<namespace>'],
+                template: getOption(args, '--template'),
+                releasesOnly: args['--releases-only'],
+                cider: args['--cider'],
+                dryRun: args['--dry-run'],
+                offline: args['--offline']
+            });
+        } else if (args.config) {
+            if (args['--print']) {
+                config.printConfig({json: args['--json']});
+            } else {
+                log(`the cljsbuild config in ${path.relative('.', config.resolvePath('package.json'))} is valid`);
+            }
+
+            return undefined;
+        } else if (args.install) {
+            info('installing cljs depedencies via maven');
+
+            return maven.installDependencies({frozen: args['--frozen']});
+        } else if (args.deps) {
+            info('resolving the cljs dependency tree');
+
+            return maven.printDependencyTree({json: args['--json']});
+        } else if (args.outdated) {
+            info('looking for newer versions of the cljs dependencies');
+
+            return maven.outdated({
+                json: args['--json'],
+                releasesOnly: args['--releases-only'],
+                offline: args['--offline']
+            }).then((outdated) => {
+                if (outdated.length) {
+                    process.exitCode = 1;
+                }
+            });
+        } else if (args.audit) {
+            info('auditing the cljs dependencies');
+
+            return maven.audit({
+                json: args['--json'],
+                advisories: getOption(args, '--advisories'),
+                level: getOption(args, '--audit-level')
+            }).then((vulnerabilities) => {
+                if (vulnerabilities.length) {
+                    process.exitCode = 1;
+                }
+            });
+        } else if (args.lock) {
+            info('resolving cljs dependencies and writing the lockfile');
+
+            return maven.lock();
+        } else if (args.test) {
+            info('running tests');
+
+            if (args['--watch']) {
+                exitOnSignal();
+            }
+
+            return cljs.test({
+                profile,
+                namespaces: args['--namespace'],
+                vars: args['--var'],
+                junit: getOption(args, '--junit'),
+                watch: args['--watch'],
+                reporter,
+                warningsAsErrors
+            }).then((results) => {
+                if (!args['--watch'] && !results.isSuccessful()) {
+                    process.exitCode = 1;
+                }
+            });
+        } else if (args.repl) {
+            info('starting cljs repl');
+
+            return cljs.repl({env: getOption(args, '--env')});
+        } else if (args.nrepl) {
+            info('starting nrepl server');
+
+            return cljs.nrepl({
+                env: getOption(args, '--env'),
+                cider: args['--cider'],
+                port: getOption(args, '--port'),
+                bind: getOption(args, '--bind')
+            });
+        } else if (args.watch) {
+            info(`starting file-watcher using the ${JSON.stringify(profile)} profile`);
+            exitOnSignal();
+
+            return cljs.watch({ids: args['<id>'], profile, reporter, warningsAsErrors});
+        } else if (args.serve) {
+            info(`starting the dev server using the ${JSON.stringify(profile)} profile`);
+            exitOnSignal();
+
+            return cljs.serve({
+                ids: args['<id>'],
+                root: getOption(args, '--root'),
+                port: getOption(args, '--http-port'),
+                profile,
+                reporter,
+                warningsAsErrors
+            });
+        } else if (args.server) {
+            return cljs.server({
+                action: ['start', 'stop', 'status'].find(action => args[action]),
+                foreground: args['--foreground']
+            });
+        } else if (args.init) {
+            info('initializing cljs dependencies in package.json');
+
+            return config.initConfig({
+                namespace: getOption(args, '--main'),
+                releasesOnly: args['--releases-only'],
+                cider: args['--cider'],
+                dryRun: args['--dry-run'],
+                offline: args['--offline']
+            });
+        } else if (args.update) {
+            info('updating cljs dependencies configured in package.json');
+
+            return config.updateDependencies({
+                releasesOnly: args['--releases-only'],
+                cider: args['--cider'],
+                dryRun: args['--dry-run'],
+                offline: args['--offline'],
+                interactive: args['--interactive'],
+                only: [].concat(args['--only'] || [])
+            });
+        }
+
+        info(`building using the ${JSON.stringify(profile)} profile`);
+
+        return cljs.build({ids: args['<id>'], profile, useServer: true, reporter, warningsAsErrors, report: args['--report']}).then((results) => {
+            if (results.some(result => result.status !== 'ok')) {
+                process.exitCode = 1;
+            }
         });
-    } else {
-        info('building');
-        cljs.build();
-    }
+    });
 }
 
 const docstring = `\
 Build, install dependencies and manage REPLs for a Clojurescript project.
 
 usage:
-    cljsbuild [options] [build-options]
-    cljsbuild [options] init [dependency-options]
-    cljsbuild [options] update [dependency-options]
-    cljsbuild [options] install
-    cljsbuild [options] repl
-    cljsbuild [options] nrepl
-    cljsbuild [options] watch
+    cljsbuild [options] [build-options] [--report]
+    cljsbuild [options] build [<id>...] [build-options] [--report]
+    cljsbuild [options] new <namespace> [--template=<template>] [dependency-options]
+    cljsbuild [options] init [--main=<ns>] [dependency-options]
+    cljsbuild [options] update [update-options] [dependency-options]
+    cljsbuild [options] install [--frozen]
+    cljsbuild [options] lock
+    cljsbuild [options] deps [tree] [--json]
+    cljsbuild [options] outdated [--json] [--releases-only] [--offline]
+    cljsbuild [options] audit [audit-options] [--json]
+    cljsbuild [options] test [test-options] [build-options]
+    cljsbuild [options] repl [repl-options]
+    cljsbuild [options] nrepl [repl-options] [nrepl-options]
+    cljsbuild [options] watch [<id>...] [build-options]
+    cljsbuild [options] serve [<id>...] [serve-options] [build-options]
+    cljsbuild [options] server [start|stop|status] [--foreground]
+    cljsbuild [options] config [--print] [--json]
 
 options:
     -h, --help             show help
-    -v, --verbose          verbose output
+    -v, --verbose...       verbose output including maven output, -vv for debug output
+    -q, --quiet            only show warnings and errors
+    --log-file=<file>      append all output, regardless of the verbosity, to file
     --version              show cljsbuilds version
 
 build-options:
-    -p, --production       build with optimization level :advanced
+    -p, --production       build with the production profile (optimization level :advanced)
+    --profile=<name>       build with the named profile from cljsbuild.profiles [default: dev]
+    --reporter=<name>      print compile results as text or json (one object per line) [default: text]
+    --warnings-as-errors   fail builds with compiler warnings
+
+report-options:
+    --report               print the size of optimized builds by namespace and library
+                           and write it to .cljsbuild/reports/<id>.html
+
+test-options:
+    -n, --namespace=<ns>...  run only the tests in this namespace
+    --var=<var>...         run only this test var, e.g. my-app.core-test/foo
+    --junit=<file>         write a JUnit XML report to file
+    -w, --watch            rerun the affected tests on changes
+
+repl-options:
+    --env=<env>            cljs repl environment: browser, node or weasel, defaults to
+                           cljsbuild.replEnv or browser (repl) and weasel (nrepl start-repl)
+
+nrepl-options:
+    -c, --cider            add the cider-nrepl middleware
+    --port=<port>          nrepl port (0 for a random port), defaults to cljsbuild.replPort
+    --bind=<host>          nrepl host, defaults to cljsbuild.replHost
+
+server-options:
+    --foreground           run the compile server in the foreground
+
+serve-options:
+    --root=<dir>           directory of the static files, defaults to cljsbuild.serveRoot
+    --http-port=<port>     http port (0 for a random port), defaults to cljsbuild.servePort
+
+config-options:
+    --print                print the effective config and where each value comes from
+
+deps-options:
+    --json                 print the result (dependency tree, outdated dependencies, vulnerabilities or config) as JSON
+
+audit-options:
+    --advisories=<path>    OSV advisory database, a JSON file or a directory of them, defaults to cljsbuild.advisories
+    --audit-level=<level>  only report vulnerabilities of at least this severity: low, moderate, high or critical [default: low]
+
+install-options:
+    --frozen               fail if the resolved dependencies differ from cljsbuild.lock
+
+new-options:
+    --template=<template>  browser (a web page with live reload), node (a node program),
+                           library (shared as an npm package) or a template directory [default: browser]
+
+init-options:
+    --main=<ns>            main namespace, defaults to cljsbuild.main or <package name>.core
+
+update-options:
+    -i, --interactive      choose the version of each dependency from a table
+    --only=<name>...       only update this dependency
 
 dependency-options:
     -c, --cider            add emacs cider dependencies
     -r, --releases-only    do not use alpha, beta or RC releases
     -d, --dry-run          only show what would be written to package.json
+    --offline              find versions only in the local maven repository (~/.m2/repository)
 `;
 
 function main () {
@@ -806,10 +7090,63 @@ function main () {
     }
 
     if (args['--verbose']) {
-        logVerbosity = 1;
+        logVerbosity = args['--verbose'];
     }
 
-    runCommand(args);
+    if (args['--quiet']) {
+        logVerbosity = -1;
+    }
+
+    if (args['--log-file']) {
+        logFile = fs.openSync(getOption(args, '--log-file'), 'a');
+    }
+
+    if (getReporterName(args) === 'json' || args['--json']) {
+        logToStderr = true;
+    }
+
+    forwardSignals();
+    runCommand(args).catch(e => logErrorAndExit(e.message));
+}
+
+if (require.main === module) {
+    main();
 }
 
-main();
+module.exports = {
+    build,
+    watch,
+    serve,
+    install,
+    classpath,
+    startNrepl,
+    forwardSignals,
+    Config,
+    Maven,
+    ClojureScript,
+    CljsbuildError,
+    ConfigError,
+    DependencyError,
+    BuildError,
+    CommandError
+};
+
+// not part of the api, exported for the tests
+module.exports._internals = {
+    ednKeyword,
+    ednSymbol,
+    ednSet,
+    ednMap,
+    toEdn,
+    ednList,
+    readEdn,
+    Config,
+    Maven,
+    fromEdn,
+    CompilerProcess,
+    Watcher,
+    compareVersions,
+    decodeVlqSegment,
+    attributeGeneratedCode,
+    getSizeReport
+};
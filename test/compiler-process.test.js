@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('assert');
+const events = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {describe, it, after} = require('node:test');
+
+const {CompilerProcess, Watcher} = require('../cljsbuild')._internals;
+
+// speaks the CompilerProcess protocol, the id of a request selects the
+// answer: crash exits, error fails and garbage sends an unreadable result
+const fakeCompiler = `
+const readline = require('readline');
+
+console.log('starting the fake compiler');
+console.log('cljsbuild/ready');
+
+readline.createInterface({input: process.stdin}).on('line', (line) => {
+    const id = /:id "([^"]*)"/.exec(line)[1];
+
+    if (id === 'crash') {
+        process.exit(3);
+    } else if (id === 'garbage') {
+        console.log('cljsbuild/result {:id');
+    } else if (id === 'error') {
+        console.log('cljsbuild/result {:id "error", :status :error, :message "Unable to resolve symbol: x", :duration 1, :namespaces [], :warnings []}');
+    } else {
+        console.log('cljsbuild/result {:id "' + id + '", :status :ok, :duration 1, :namespaces [app.core], :warnings []}');
+    }
+});
+`;
+
+describe('CompilerProcess', () => {
+    const compilers = [];
+
+    const startCompiler = () => {
+        const compiler = new CompilerProcess({command: process.execPath, args: ['-e', fakeCompiler]});
+
+        compilers.push(compiler);
+
+        return compiler.start().then(() => compiler);
+    };
+
+    after(() => compilers.forEach(compiler => compiler.stop()));
+
+    it('answers compile requests in order', () => {
+        return startCompiler().then((compiler) => {
+            return Promise.all([compiler.compile({id: 'app', files: []}), compiler.compile({id: 'error', files: []})]);
+        }).then(([app, error]) => {
+            assert.deepStrictEqual(app, {id: 'app', status: 'ok', duration: 1, namespaces: ['app.core'], warnings: []});
+            assert.strictEqual(error.status, 'error');
+            assert.strictEqual(error.message, 'Unable to resolve symbol: x');
+        });
+    });
+
+    it('rejects a request with an invalid result and keeps compiling', () => {
+        return startCompiler().then((compiler) => {
+            return compiler.compile({id: 'garbage'}).then(() => {
+                assert.fail('the request should have been rejected');
+            }, (e) => {
+                assert.match(e.message, /invalid compile result/);
+
+                return compiler.compile({id: 'app'});
+            });
+        }).then((result) => {
+            assert.strictEqual(result.status, 'ok');
+        });
+    });
+
+    it('rejects the pending and later requests when the process exits', () => {
+        return startCompiler().then((compiler) => {
+            return assert.rejects(compiler.compile({id: 'crash'}), /compiler process exited with code 3/)
+                .then(() => assert.rejects(compiler.compile({id: 'app'}), /compiler process exited with code 3/));
+        });
+    });
+});
+
+describe('Watcher', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cljsbuild-watcher-'));
+
+    after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+    it('recompiles the changed files and keeps watching after a failed compile', {timeout: 10000}, () => {
+        const compiled = [];
+        const watcher = new Watcher({
+            paths: [dir],
+            builds: [{id: 'app'}],
+            debounce: 20,
+            compile: (build, files) => {
+                compiled.push(files.map(file => path.basename(file)));
+
+                if (files.some(file => path.basename(file) === 'broken.cljs')) {
+                    return Promise.reject(new Error('compiler crashed'));
+                }
+
+                return Promise.resolve({id: build.id, status: 'ok'});
+            }
+        });
+
+        return watcher.start().then(() => {
+            const failed = events.once(watcher, 'error');
+
+            fs.writeFileSync(path.join(dir, 'broken.cljs'), '(ns broken)');
+
+            return failed;
+        }).then(([error]) => {
+            const recompiled = events.once(watcher, 'result');
+
+            assert.strictEqual(error.message, 'compiler crashed');
+            fs.writeFileSync(path.join(dir, 'core.cljs'), '(ns core)');
+
+            return recompiled;
+        }).then(([result]) => {
+            watcher.stop();
+            assert.strictEqual(result.status, 'ok');
+            assert.deepStrictEqual(compiled, [[], ['broken.cljs'], ['core.cljs']]);
+        });
+    });
+});
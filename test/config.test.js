@@ -0,0 +1,38 @@
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const cljsbuild = require('../cljsbuild');
+
+describe('config schema', () => {
+    const problems = (config) => {
+        try {
+            new cljsbuild.Config({config}).validate('config');
+        } catch (e) {
+            assert.ok(e instanceof cljsbuild.ConfigError);
+
+            return e.problems;
+        }
+
+        return [];
+    };
+
+    it('accepts a valid config', () => {
+        assert.deepStrictEqual(problems({main: 'app.core', replPort: 7000, updatePolicies: {reagent: 'minor'}}), []);
+    });
+
+    it('suggests the closest key for unknown keys', () => {
+        assert.deepStrictEqual(problems({mian: 'app.core'}), ['unknown key cljsbuild.mian, did you mean main?']);
+    });
+
+    it('suggests the closest value for misspelled choices', () => {
+        assert.deepStrictEqual(problems({updatePolicies: {reagent: 'minr'}}), [
+            'cljsbuild.updatePolicies.reagent must be one of pin, patch, minor, major, allow-prerelease, got "minr", did you mean minor?'
+        ]);
+    });
+
+    it('makes no suggestion when nothing is close', () => {
+        assert.deepStrictEqual(problems({somethingElse: true}), ['unknown key cljsbuild.somethingElse']);
+    });
+});
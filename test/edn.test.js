@@ -0,0 +1,80 @@
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const {
+    ednKeyword,
+    ednSymbol,
+    ednSet,
+    ednMap,
+    toEdn,
+    ednList,
+    readEdn,
+    fromEdn
+} = require('../cljsbuild')._internals;
+
+describe('toEdn', () => {
+    it('writes json values and the tagged edn values', () => {
+        assert.strictEqual(toEdn(null), 'nil');
+        assert.strictEqual(toEdn([1, true, 'a "b"\n']), '[1 true "a \\"b\\"\\n"]');
+        assert.strictEqual(toEdn({optimizations: ednKeyword('none'), main: ednSymbol('app.core')}), '{:optimizations :none, :main app.core}');
+        assert.strictEqual(toEdn(ednSet(['a', 'a', 'b'])), '#{"a" "b"}');
+        assert.strictEqual(toEdn(ednMap([['react', '16.0.0']])), '{"react" "16.0.0"}');
+    });
+
+    it('rejects values without an edn representation', () => {
+        assert.throws(() => toEdn(NaN), /cannot write NaN as edn/);
+        assert.throws(() => toEdn({'not a keyword': 1}), /invalid edn keyword name/);
+        assert.throws(() => toEdn(ednSymbol('1x')), /invalid edn symbol name/);
+    });
+});
+
+describe('readEdn', () => {
+    // maps are read as ednMap, with keywords for the keys of json objects
+    it('reads what toEdn writes', () => {
+        const values = [
+            null,
+            [1, -2.5, 'a "quoted"\tstring\n', false],
+            ednMap([[ednKeyword('paths'), ['src', 'resources']], [ednKeyword('deps'), ednMap([[ednSymbol('org.clojure/clojure'), ednMap([[ednKeyword('mvn/version'), '1.9.0']])]])]]),
+            ednSet([ednKeyword('a'), ednKeyword('ns/b')]),
+            ednList([ednSymbol('defproject'), ednSymbol('app'), '0.1.0', ednList([])])
+        ];
+
+        values.forEach((value) => {
+            assert.deepStrictEqual(readEdn(toEdn(value)), [value]);
+        });
+    });
+
+    it('reads clojure source and skips comments, discards and metadata', () => {
+        const forms = readEdn('; a project\n(defproject ^:skip-aot app "1.0" #_ignored\n  :dependencies [[reagent "0.8.0"]])');
+
+        assert.deepStrictEqual(forms, [ednList([
+            ednSymbol('defproject'),
+            ednSymbol('app'),
+            '1.0',
+            ednKeyword('dependencies'),
+            [[ednSymbol('reagent'), '0.8.0']]
+        ])]);
+    });
+
+    it('reports syntax errors with the line', () => {
+        assert.throws(() => readEdn('{:a 1\n :b [2 3}'), /edn syntax error on line 2/);
+    });
+});
+
+describe('fromEdn', () => {
+    it('converts read edn to plain json', () => {
+        assert.deepStrictEqual(fromEdn(readEdn('{:deps {org.clojure/clojure {:mvn/version "1.9.0"}} :aliases #{:dev} :args (1 2)}')[0]), {
+            deps: {'org.clojure/clojure': {'mvn/version': '1.9.0'}},
+            aliases: ['dev'],
+            args: [1, 2]
+        });
+    });
+
+    it('reads json objects written by toEdn back', () => {
+        const value = {main: ednSymbol('app.core'), optimizations: ednKeyword('advanced'), 'closure-defines': ednMap([['goog.DEBUG', false]])};
+
+        assert.deepStrictEqual(fromEdn(readEdn(toEdn(value))[0]), {main: 'app.core', optimizations: 'advanced', 'closure-defines': {'goog.DEBUG': false}});
+    });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const url = require('url');
+const {describe, it, before, after} = require('node:test');
+
+const {Config, Maven} = require('../cljsbuild')._internals;
+
+// records the pom.xml and settings.xml it is called with and writes a
+// classpath for dependency:build-classpath
+const fakeMvn = `#!/bin/sh
+echo "$*" >> "$FAKE_MVN_RECORD/runs"
+for arg in "$@"; do
+    case "$previous" in
+        -f) cp "$arg" "$FAKE_MVN_RECORD/pom.xml";;
+        -s|-gs) cp "$arg" "$FAKE_MVN_RECORD/settings.xml";;
+    esac
+    case "$arg" in
+        -Dmdep.outputFile=*) printf '/m2/clojure.jar' > "\${arg#-Dmdep.outputFile=}";;
+    esac
+    previous="$arg"
+done
+`;
+
+const userSettings = `<settings>
+  <!-- the mirror must survive the merge -->
+  <mirrors>
+    <mirror><id>corporate</id><url>https://mirror.example.com/</url><mirrorOf>central</mirrorOf></mirror>
+  </mirrors>
+  <servers>
+    <server><id>secured</id><username>stale</username></server>
+  </servers>
+</settings>
+`;
+
+describe('Maven repositories', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'cljsbuild-maven-'));
+    const projectDir = path.join(tmp, 'project');
+    const record = path.join(tmp, 'record');
+    const environment = {HOME: process.env.HOME, PATH: process.env.PATH, FAKE_MVN_RECORD: process.env.FAKE_MVN_RECORD};
+    const cwd = process.cwd();
+
+    const writeConfig = (repositories) => {
+        fs.writeFileSync(path.join(projectDir, 'package.json'), JSON.stringify({
+            cljsbuild: {dependencies: {'org.clojure/clojure': '1.9.0'}, repositories}
+        }));
+    };
+
+    const getClasspath = () => Promise.resolve(new Maven(new Config()).getClasspath());
+
+    const runs = () => fs.readFileSync(path.join(record, 'runs')).toString().trim().split('\n').length;
+
+    before(() => {
+        [projectDir, record, path.join(tmp, 'bin'), path.join(tmp, 'home', '.m2')].forEach(dir => fs.mkdirSync(dir, {recursive: true}));
+        fs.writeFileSync(path.join(tmp, 'bin', 'mvn'), fakeMvn, {mode: 0o755});
+        fs.writeFileSync(path.join(tmp, 'home', '.m2', 'settings.xml'), userSettings);
+
+        process.env.HOME = path.join(tmp, 'home');
+        process.env.PATH = `${path.join(tmp, 'bin')}${path.delimiter}${process.env.PATH}`;
+        process.env.FAKE_MVN_RECORD = record;
+        process.chdir(projectDir);
+    });
+
+    after(() => {
+        process.chdir(cwd);
+        Object.keys(environment).forEach((name) => {
+            if (environment[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = environment[name];
+            }
+        });
+        fs.rmSync(tmp, {recursive: true, force: true});
+    });
+
+    it('adds local file:// repositories to the pom and their credentials to the user settings', () => {
+        writeConfig({
+            local: 'm2-repo',
+            secured: {url: 'https://repo.example.com/maven/', usernameEnv: 'REPO_USER', passwordEnv: 'REPO_PASSWORD'}
+        });
+
+        return getClasspath().then((classpath) => {
+            const pom = fs.readFileSync(path.join(record, 'pom.xml')).toString();
+            const settings = fs.readFileSync(path.join(record, 'settings.xml')).toString();
+
+            assert.strictEqual(classpath, '/m2/clojure.jar');
+            assert.ok(pom.includes(`<url>${url.pathToFileURL(path.join(projectDir, 'm2-repo')).href}</url>`), pom);
+            assert.ok(pom.includes('<url>https://repo.example.com/maven/</url>'), pom);
+
+            // the user settings with the configured server replacing theirs
+            assert.ok(settings.includes('<mirror><id>corporate</id>'), settings);
+            assert.ok(settings.includes('<username>${env.REPO_USER}</username>'), settings);
+            assert.ok(settings.includes('<password>${env.REPO_PASSWORD}</password>'), settings);
+            assert.ok(!settings.includes('stale'), settings);
+
+            // the copy of the user settings is not left in the project
+            assert.ok(!fs.existsSync(path.join(projectDir, '.cljsbuild', 'settings.xml')));
+        });
+    });
+
+    it('invalidates the cached classpath when the repositories change', () => {
+        writeConfig({local: 'm2-repo'});
+
+        return getClasspath().then(() => {
+            const before = runs();
+
+            return getClasspath().then(() => {
+                assert.strictEqual(runs(), before, 'the cached classpath is used');
+                writeConfig({local: 'other-m2-repo'});
+
+                return getClasspath();
+            }).then(() => {
+                assert.strictEqual(runs(), before + 1, 'maven computes the classpath again');
+            });
+        });
+    });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const {decodeVlqSegment, attributeGeneratedCode, getSizeReport} = require('../cljsbuild')._internals;
+
+describe('source map attribution', () => {
+    it('decodes vlq segments', () => {
+        assert.deepStrictEqual(decodeVlqSegment('AAAA'), [0, 0, 0, 0]);
+        assert.deepStrictEqual(decodeVlqSegment('gBCD'), [16, 1, -1]);
+        assert.deepStrictEqual(decodeVlqSegment('2H'), [123]);
+        assert.throws(() => decodeVlqSegment('A!'), /invalid source map segment/);
+    });
+
+    // two lines: unmapped code, then code from a.cljs and b.cljs on the
+    // first line and code from a.cljs on the second
+    const code = 'var x;a();b();\nc();';
+    const sourceMap = {version: 3, sources: ['a.cljs', 'b.cljs'], mappings: 'MAAA,ICAA;ADAA'};
+
+    it('splits the generated code by source', () => {
+        assert.deepStrictEqual(Array.from(attributeGeneratedCode(code, sourceMap)), [
+            [null, 'var x;'],
+            ['a.cljs', 'a();c();'],
+            ['b.cljs', 'b();\n']
+        ]);
+    });
+
+    it('rejects unsupported source maps', () => {
+        assert.throws(() => attributeGeneratedCode(code, {version: 3, sections: []}), /unsupported source map/);
+    });
+
+    it('reports the size of each namespace and library', () => {
+        const describeSource = source => ({namespace: source.replace('.cljs', ''), library: 'app'});
+        const report = getSizeReport(code, sourceMap, describeSource);
+
+        assert.strictEqual(report.total.raw, code.length);
+        assert.deepStrictEqual(report.namespaces.map(ns => [ns.name, ns.library, ns.raw]), [
+            ['a', 'app', 8],
+            ['(unmapped)', '(unmapped)', 6],
+            ['b', 'app', 5]
+        ]);
+        assert.deepStrictEqual(report.libraries.map(lib => [lib.name, lib.namespaces, lib.raw]), [
+            ['app', 2, 13],
+            ['(unmapped)', 1, 6]
+        ]);
+    });
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+const {compareVersions} = require('../cljsbuild')._internals;
+
+describe('compareVersions', () => {
+    it('orders maven versions', () => {
+        const ordered = [
+            '1.0-alpha1',
+            '1.0-alpha2',
+            '1.0-beta1',
+            '1.0-rc2',
+            '1.0-SNAPSHOT',
+            '1.0',
+            '1.0-sp1',
+            '1.0.1',
+            '1.2',
+            '1.10.0',
+            '1.10.339'
+        ];
+        const shuffled = ordered.slice().reverse();
+
+        assert.deepStrictEqual(shuffled.sort(compareVersions), ordered);
+    });
+
+    it('treats missing parts as zero', () => {
+        assert.strictEqual(compareVersions('1.0', '1.0.0'), 0);
+        assert.strictEqual(compareVersions('1', '1.0-final'), 0);
+        assert.ok(compareVersions('1.9.946', '1.10') < 0);
+        assert.ok(compareVersions('2.0', '1.99.99') > 0);
+    });
+});